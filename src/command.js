@@ -0,0 +1,1281 @@
+const path = require('path');
+const util = require('util');
+const chalk = require('chalk');
+const { Command, flags } = require('@oclif/command');
+const fs = require('fs-extra');
+const { DIFF_ENGINE_JS, DIFF_ENGINE_GNU, compare, getPagesToCompare } = require('./compare');
+const { EXIT_CODES, checkThresholds } = require('./lib/ci-gate');
+const { validateLabels } = require('./lib/create-unified-diff');
+const { SIDES } = require('./lib/clean-rule-filters');
+const { DEFAULT_HTTP_CACHE_DIRECTORY, clearHttpCache } = require('./lib/http-cache');
+const normalizeCleanConfig = require('./lib/normalize-clean-config');
+const normalizeDomain = require('./lib/normalize-domain');
+const { input, confirm, list } = require('./lib/one-prompt-inquirer-functions');
+const parseUrlList = require('./lib/parse-url-list');
+const {
+	loadProjectConfig,
+	findProjectConfig,
+	resolveProjectConfig,
+	applyProjectConfig,
+} = require('./lib/project-config');
+const readJsonFlag = require('./lib/read-json-flag');
+const readStdin = require('./lib/read-stdin-stream');
+const {
+	DEFAULT_SNAPSHOT_DIRECTORY,
+	createSnapshotId,
+	resolveSnapshot,
+	readSnapshotManifest,
+} = require('./lib/snapshots');
+const {
+	FORMAT_HTML,
+	FORMAT_JSON,
+	FORMAT_DIFF,
+	renderReport,
+	renderStatusTables,
+} = require('./lib/render-report');
+const { DEFAULT_REPORT_SERVER_PORT, startReportServer } = require('./lib/report-server');
+const { validateUrlMap } = require('./lib/url-mapping');
+const { watch } = require('./watch');
+
+class DiffDevProdCommand extends Command {
+	async run() {
+		// Grabbed piped-in string first, even if we don't use it
+		const piped_in_string = await readStdin();
+
+		let { flags, args, raw } = this.parse(DiffDevProdCommand);
+		let { domain: root_domain } = args;
+
+		// Fill in anything not passed on the command line from a project config file
+		let project_config;
+		try {
+			project_config = flags.config
+				? { filepath: flags.config, config: await loadProjectConfig(flags.config) }
+				: await findProjectConfig();
+		} catch (e) {
+			this.error(e.message);
+		}
+		if (project_config) {
+			let options;
+			try {
+				options = resolveProjectConfig(project_config.config, flags.env);
+			} catch (e) {
+				this.error(e.message, {
+					suggestions: [`Check the "environments" in ${project_config.filepath}`],
+				});
+			}
+
+			let unknown_keys;
+			try {
+				({ flags, unknown_keys } = applyProjectConfig({
+					options,
+					filepath: project_config.filepath,
+					flags,
+					flag_definitions: DiffDevProdCommand.flags,
+					explicit_flag_names: raw
+						.filter(({ type }) => type === 'flag')
+						.map(({ flag }) => flag),
+				}));
+			} catch (e) {
+				this.error(e.message);
+			}
+			if (!root_domain && options.domain) {
+				root_domain = options.domain;
+			}
+
+			if (!flags.quiet) {
+				this.log(`Using config file ${chalk.blue(project_config.filepath)}`);
+				for (let key of unknown_keys) {
+					this.warn(`Unknown key "${key}" in config file ${project_config.filepath}`);
+				}
+			}
+		} else if (flags.env) {
+			this.error(`The "env" flag was passed, but no config file was found.`);
+		}
+
+		let {
+			interactive,
+			['build-dir']: build_directory,
+			['base-domain']: base_domain,
+			['url-list']: url_list,
+			labels: labels_string,
+			output: output_filename,
+			format,
+			['clean-config']: clean_config,
+			['diff-engine']: diff_engine,
+			concurrency,
+			timeout,
+			retries,
+			cache,
+			['cache-dir']: cache_directory,
+			['cache-max-age']: cache_max_age,
+			offline,
+			['clear-cache']: clear_cache,
+			sitemap,
+			['crawl-depth']: crawl_depth,
+			ci,
+			['max-changed-pages']: max_changed_pages,
+			['max-changed-lines']: max_changed_lines,
+			auth,
+			header: header_strings,
+			['user-agent']: user_agent,
+			['cookie-file']: cookie_file,
+			['url-map']: url_map,
+			['dry-run']: dry_run,
+			scope,
+			['local-scope']: local_scope,
+			['remote-scope']: remote_scope,
+			snapshot,
+			['snapshot-dir']: snapshot_directory,
+			['from-snapshot']: from_snapshot,
+			['to-snapshot']: to_snapshot,
+			['text-only']: text_only,
+			['include-alt-text']: include_alt_text,
+			['normalize-urls']: normalize_urls,
+			['strip-params']: strip_params = [],
+			['ignore-url-case']: ignore_url_case,
+			assets,
+			['audit-links']: audit_links,
+			watch: watch_build_directory,
+			serve,
+			port,
+			quiet,
+		} = flags;
+		let loud = !quiet;
+
+		// Serving the report only makes sense while it is being updated
+		if (serve) {
+			watch_build_directory = true;
+		}
+
+		// Setting a threshold implies we want to gate on it
+		if (max_changed_pages != null || max_changed_lines != null) {
+			ci = true;
+		}
+
+		if (clear_cache) {
+			await clearHttpCache(cache_directory);
+			loud &&
+				this.log(chalk.green(`Cleared the HTTP cache in ${chalk.blue(cache_directory)}`));
+			this.exit(0);
+		}
+
+		// Resolve references like "latest" into the snapshot's directory
+		try {
+			if (from_snapshot) {
+				from_snapshot = await resolveSnapshot(from_snapshot, snapshot_directory);
+			}
+			if (to_snapshot) {
+				to_snapshot = await resolveSnapshot(to_snapshot, snapshot_directory);
+			}
+		} catch (e) {
+			this.error(e.message, { suggestions: e.suggestions });
+		}
+		if (to_snapshot && !from_snapshot) {
+			this.error(`The "to-snapshot" flag can only be used along with "from-snapshot".`);
+		}
+
+		// Two snapshots can be compared without a domain, since we don't request anything
+		if (!root_domain && to_snapshot) {
+			root_domain = (await readSnapshotManifest(to_snapshot)).domain;
+		}
+
+		if (!root_domain) {
+			if (interactive) {
+				root_domain = await input(
+					`Enter the full root domain (e.g. https://example.com):`,
+					{
+						validate(v) {
+							if (v) {
+								return true;
+							} else {
+								return 'You must enter a value for the root domain.';
+							}
+						},
+					}
+				);
+			} else {
+				this.error(
+					chalk.red(`No domain argument passed. Run 'ddp -h' to view help information.`)
+				);
+			}
+		}
+
+		// Any credentials within either domain are only sent to that domain, so `compare()`
+		// gets the domains as passed, and everything else only sees them without credentials
+		let domain_with_auth = root_domain;
+		let base_domain_with_auth = base_domain;
+		let normalized_domain = normalizeDomain(root_domain);
+		root_domain = normalized_domain.domain;
+		if (base_domain) {
+			base_domain = normalizeDomain(base_domain).domain;
+			loud && this.log(`Using base domain ${chalk.magenta(base_domain)}`);
+		}
+		loud && this.log(`Using domain ${chalk.magenta(root_domain)}\n`);
+
+		// When comparing two remote environments, the build directory is only one way to list our URLs
+		const build_directory_required = !(from_snapshot || (base_domain && (url_list || sitemap)));
+
+		let domain_without_subdomain = normalized_domain.hostname.split('.').slice(-2).join('.');
+
+		const default_build_directory = 'build';
+		const default_output_filename = `${domain_without_subdomain}.diff.${
+			format === FORMAT_JSON ? 'json' : 'html'
+		}`;
+
+		// Prompt or use defaults for build directory / output filename depending on `interactive` flag.
+		if (!build_directory && build_directory_required) {
+			build_directory = interactive
+				? await input(`Enter the build folder path:`, { default: default_build_directory })
+				: default_build_directory;
+		}
+		if (!output_filename) {
+			output_filename = interactive
+				? await input(`Enter the name of the output file:`, {
+						default: default_output_filename,
+				  })
+				: default_output_filename;
+		}
+
+		// Infer the report format from our output filename when it isn't set explicitly
+		if (!format) {
+			if (output_filename === 'stdout') {
+				format = FORMAT_DIFF;
+			} else if (/\.json$/i.test(output_filename)) {
+				format = FORMAT_JSON;
+			} else {
+				format = FORMAT_HTML;
+			}
+		}
+
+		if (build_directory_required && !(await fs.exists(build_directory))) {
+			this.error(`The directory "${chalk.yellow(build_directory)}" does not exist, exiting.`);
+		}
+
+		// Resolve clean_config, which can be passed as a filename, inline JSON, or 'stdin'
+		if (clean_config) {
+			// Config files can set the clean config as an object directly
+			if (typeof clean_config === 'string') {
+				try {
+					clean_config = await readJsonFlag(clean_config, {
+						flag_name: 'clean-config',
+						piped_in_string,
+					});
+				} catch (e) {
+					this.error(e.message, { code: e.code, suggestions: e.suggestions });
+				}
+			}
+
+			try {
+				clean_config = normalizeCleanConfig(clean_config);
+			} catch (e) {
+				this.error(e.message, { code: e.code });
+			}
+		}
+
+		// Scope flags take precedence over any scopes in our clean config
+		if (scope || local_scope || remote_scope) {
+			clean_config = Object.assign({}, clean_config);
+			clean_config.scope = [
+				{ selector: scope, local: local_scope, remote: remote_scope },
+			].concat(clean_config.scope || []);
+		}
+
+		if (url_map) {
+			if (typeof url_map === 'string') {
+				try {
+					url_map = await readJsonFlag(url_map, {
+						flag_name: 'url-map',
+						piped_in_string,
+					});
+				} catch (e) {
+					this.error(e.message, { code: e.code, suggestions: e.suggestions });
+				}
+			}
+
+			let url_map_errors = validateUrlMap(url_map);
+			if (url_map_errors.length) {
+				this.error(`The "url-map" flag is invalid:\n${url_map_errors.join('\n')}`);
+			}
+		}
+
+		let url_list_entries;
+		if (url_list) {
+			if (!base_domain) {
+				this.error(`The "url-list" flag can only be used along with "base-domain".`);
+			}
+
+			let url_list_contents;
+			if (url_list === 'stdin') {
+				if (!piped_in_string) {
+					this.error(`The "url-list" flag was set to "stdin", but nothing was piped in.`);
+				}
+				url_list_contents = piped_in_string;
+			} else {
+				if (!(await fs.exists(url_list))) {
+					this.error(`The URL list "${chalk.yellow(url_list)}" does not exist.`);
+				}
+				url_list_contents = await fs.readFile(url_list, 'utf8');
+			}
+			url_list_entries = parseUrlList(url_list_contents);
+		}
+
+		// A project config can also list the params as an Array
+		strip_params = [].concat(
+			...[].concat(strip_params).map((value) =>
+				String(value)
+					.split(',')
+					.map((param) => param.trim())
+					.filter(Boolean)
+			)
+		);
+
+		let labels;
+		if (labels_string) {
+			let [local_label, remote_label, ...rest] = labels_string
+				.split(',')
+				.map((label) => label.trim());
+			if (!local_label || !remote_label || rest.length) {
+				this.error(
+					`The "labels" flag must be two names separated by a comma, e.g. "staging,production".`
+				);
+			}
+			labels = { local: local_label, remote: remote_label };
+			let label_errors = validateLabels(labels);
+			if (label_errors.length) {
+				this.error(`The "labels" flag is invalid. ${label_errors.join(' ')}`);
+			}
+		}
+
+		if (!clean_config && interactive) {
+			clean_config = { elements: [], attributes: [] };
+			let clean_some_elements = await confirm('Select certain elements to clean?', {
+				default: false,
+			});
+			while (clean_some_elements) {
+				let empty_selector = await input(
+					`Enter the selector of the elements to empty / remove:`,
+					{
+						validate(v) {
+							if (v) {
+								return true;
+							} else {
+								return 'You must enter a value for the selector.';
+							}
+						},
+					}
+				);
+				let filter_elements = await list(`Filter the elements based on its contents?`, {
+					choices: [
+						{ name: 'Filter based on simple string matching', value: 'string' },
+						{ name: 'Filter based on a regular expression', value: 'regex' },
+						{ name: 'Do not filter the elements', value: 'none' },
+					],
+				});
+				let filter_on_contents;
+				let filter_on_regex;
+				let filter_on_regex_flags;
+				if (filter_elements === 'string') {
+					filter_on_contents = await input(`Filter the elements based on this string:`);
+				} else if (filter_elements === 'regex') {
+					filter_on_regex = await input(
+						`Enter the regex with no surrounding '/' (e.g. "jQuery v\\d"):`
+					);
+					filter_on_regex_flags = await input(
+						`Enter any optional regular expression flags (e.g. "i"):`
+					);
+				}
+
+				let element_action = await list(
+					`Remove the element entirely, unwrap it (keeping its contents), or merely empty its contents?`,
+					{
+						choices: [
+							{ name: 'Remove the element', value: 'remove' },
+							{ name: 'Unwrap the element, keeping its contents', value: 'unwrap' },
+							{ name: 'Empty its contents', value: 'empty' },
+						],
+					}
+				);
+
+				// Unwrapped elements have nothing left to replace
+				let replacement_text =
+					element_action !== 'unwrap' &&
+					(await input(
+						`Replace the ${
+							element_action === 'empty'
+								? 'emptied elements contents'
+								: 'removed element'
+						} with some value? (can be left blank):`
+					));
+
+				let side = await list(`Apply this rule to which side?`, {
+					choices: [
+						{ name: 'Both local and remote', value: SIDES.BOTH },
+						{ name: 'Local only', value: SIDES.LOCAL },
+						{ name: 'Remote only', value: SIDES.REMOTE },
+					],
+				});
+				let filter_urls = await list(`Only apply this rule to certain URLs?`, {
+					choices: [
+						{ name: 'Apply it to every URL', value: 'none' },
+						{ name: 'Filter URLs based on a glob', value: 'glob' },
+						{ name: 'Filter URLs based on a regular expression', value: 'regex' },
+					],
+				});
+				let url_glob;
+				let url_regex;
+				let url_regex_flags;
+				if (filter_urls === 'glob') {
+					url_glob = await input(
+						`Only apply this rule to URLs matching this glob (e.g. "/blog/**"):`
+					);
+				} else if (filter_urls === 'regex') {
+					url_regex = await input(
+						`Only apply this rule to URLs matching this regular expression (e.g. "^/blog/", do not surround with '/'):`
+					);
+					url_regex_flags = await input(
+						`Enter any optional regular expression flags (e.g. "i"):`,
+						{
+							validate(v) {
+								try {
+									new RegExp(url_regex, v || undefined);
+									return true;
+								} catch (e) {
+									return e.message;
+								}
+							},
+						}
+					);
+				}
+
+				let element_to_prune = Object.assign(
+					{
+						selector: empty_selector,
+					},
+					{ [element_action]: true },
+					filter_on_contents ? { contains: filter_on_contents } : null,
+					filter_on_regex ? { containsRegex: filter_on_regex } : null,
+					filter_on_regex_flags ? { containsRegexFlags: filter_on_regex_flags } : null,
+					replacement_text ? { replacement: replacement_text } : null,
+					side !== SIDES.BOTH ? { side } : null,
+					url_glob ? { url: url_glob } : null,
+					url_regex ? { urlRegex: url_regex } : null,
+					url_regex_flags ? { urlRegexFlags: url_regex_flags } : null
+				);
+
+				clean_config.elements.push(element_to_prune);
+
+				clean_some_elements = await confirm('Select more elements to clean?', {
+					default: false,
+				});
+			}
+
+			let clean_some_attributes = await confirm('Select certain attributes to clean?', {
+				default: false,
+			});
+			while (clean_some_attributes) {
+				let attribute = await input(`Enter the name of the attribute to clean:`, {
+					validate(v) {
+						if (v) {
+							return true;
+						} else {
+							return 'You must enter an attribute.';
+						}
+					},
+				});
+				let selector = await input(
+					`Filter attributes on the following elements based on a DOM selector? (can be left blank):`
+				);
+
+				let filter_attributes = await list(`Filter the attributes based on its value?`, {
+					choices: [
+						{ name: 'Filter based on simple string matching', value: 'string' },
+						{ name: 'Filter based on a regular expression', value: 'regex' },
+						{ name: 'Do not filter the attributes', value: 'none' },
+					],
+				});
+				let filter_on_contents;
+				let filter_on_regex;
+				let filter_on_regex_flags;
+				if (filter_attributes === 'string') {
+					filter_on_contents = await input(`Filter the attributes based on this string:`);
+				} else if (filter_attributes === 'regex') {
+					filter_on_regex = await input(
+						`Filter the attributes based on this regular expression (do not surround with '/'):`
+					);
+					filter_on_regex_flags = await input(
+						`Enter any optional regular expression flags (e.g. "i"):`
+					);
+				}
+
+				let remove_or_empty_element = await list(
+					`Remove the attribute entirely, or merely empty its contents?`,
+					{
+						choices: [
+							{ name: 'Remove the attribute', value: 'remove' },
+							{ name: 'Empty its contents', value: 'empty' },
+						],
+					}
+				);
+
+				let replacement_text;
+				if (remove_or_empty_element === 'empty') {
+					replacement_text = await input(
+						`Replace the emptied attribute's value with a replacement? (can be left blank):`
+					);
+				}
+
+				let side = await list(`Apply this rule to which side?`, {
+					choices: [
+						{ name: 'Both local and remote', value: SIDES.BOTH },
+						{ name: 'Local only', value: SIDES.LOCAL },
+						{ name: 'Remote only', value: SIDES.REMOTE },
+					],
+				});
+				let filter_urls = await list(`Only apply this rule to certain URLs?`, {
+					choices: [
+						{ name: 'Apply it to every URL', value: 'none' },
+						{ name: 'Filter URLs based on a glob', value: 'glob' },
+						{ name: 'Filter URLs based on a regular expression', value: 'regex' },
+					],
+				});
+				let url_glob;
+				let url_regex;
+				let url_regex_flags;
+				if (filter_urls === 'glob') {
+					url_glob = await input(
+						`Only apply this rule to URLs matching this glob (e.g. "/blog/**"):`
+					);
+				} else if (filter_urls === 'regex') {
+					url_regex = await input(
+						`Only apply this rule to URLs matching this regular expression (e.g. "^/blog/", do not surround with '/'):`
+					);
+					url_regex_flags = await input(
+						`Enter any optional regular expression flags (e.g. "i"):`,
+						{
+							validate(v) {
+								try {
+									new RegExp(url_regex, v || undefined);
+									return true;
+								} catch (e) {
+									return e.message;
+								}
+							},
+						}
+					);
+				}
+
+				let attribute_to_prune = Object.assign(
+					{ attribute },
+					selector ? { selector } : null,
+					remove_or_empty_element === 'empty' ? { empty: true } : { remove: true },
+					filter_on_contents ? { contains: filter_on_contents } : null,
+					filter_on_regex ? { containsRegex: filter_on_regex } : null,
+					filter_on_regex_flags ? { containsRegexFlags: filter_on_regex_flags } : null,
+					replacement_text ? { replacement: replacement_text } : null,
+					side !== SIDES.BOTH ? { side } : null,
+					url_glob ? { url: url_glob } : null,
+					url_regex ? { urlRegex: url_regex } : null,
+					url_regex_flags ? { urlRegexFlags: url_regex_flags } : null
+				);
+				clean_config.attributes.push(attribute_to_prune);
+
+				clean_some_attributes = await confirm('Select more attributes to clean?', {
+					default: false,
+				});
+			}
+		}
+
+		if (loud) {
+			// Log out `clean_config` if it's arrays have length
+			const html_will_be_cleaned =
+				clean_config &&
+				((clean_config.elements && clean_config.elements.length > 0) ||
+					(clean_config.attributes && clean_config.attributes.length > 0) ||
+					(clean_config.replacements && clean_config.replacements.length > 0) ||
+					(clean_config.ignoreClasses && clean_config.ignoreClasses.length > 0) ||
+					clean_config.scope);
+			if (html_will_be_cleaned) {
+				this.log('Using clean config:');
+				this.log(util.inspect(clean_config, { colors: true }));
+			} else {
+				this.log('No clean config set.');
+			}
+			this.log();
+		}
+
+		if (dry_run) {
+			let pages_to_compare;
+			try {
+				pages_to_compare = await getPagesToCompare({
+					domain: root_domain,
+					baseDomain: base_domain,
+					buildDir: build_directory,
+					urlMap: url_map,
+					urlList: url_list_entries,
+					sitemap,
+				});
+			} catch (e) {
+				this.error(e.message);
+			}
+			let width = Math.max(0, ...pages_to_compare.map((page) => page.path.length));
+			for (let page of pages_to_compare) {
+				this.log(
+					`${page.path.padEnd(width)}  ${
+						page.baseUrl ? `${chalk.cyan(page.baseUrl)} -> ` : ''
+					}${chalk.cyan(page.url)}`
+				);
+			}
+			this.exit(EXIT_CODES.OK);
+		}
+
+		const logFetchProgress = ({ fetched, total, retried, failed }) => {
+			if (!loud) {
+				return;
+			}
+			let progress = `Fetched ${fetched} / ${total}`;
+			if (retried) {
+				progress += `, ${chalk.yellow(`${retried} retried`)}`;
+			}
+			if (failed) {
+				progress += `, ${chalk.red(`${failed} failed`)}`;
+			}
+			process.stdout.write(`${progress}\r`);
+		};
+
+		const compare_options = {
+			domain: domain_with_auth,
+			buildDir: build_directory,
+			baseDomain: base_domain_with_auth,
+			urlList: url_list_entries,
+			labels,
+			fromSnapshot: from_snapshot,
+			toSnapshot: to_snapshot,
+			saveSnapshot: snapshot ? path.join(snapshot_directory, createSnapshotId()) : undefined,
+			cleanConfig: clean_config,
+			urlMap: url_map,
+			diffEngine: diff_engine,
+			concurrency,
+			timeout,
+			retries,
+			cache,
+			cacheDir: cache_directory,
+			cacheMaxAge: cache_max_age,
+			offline,
+			sitemap,
+			crawlDepth: crawl_depth,
+			auth,
+			headers: header_strings,
+			userAgent: user_agent,
+			cookieFile: cookie_file,
+			textOnly: text_only,
+			includeAltText: include_alt_text,
+			normalizeUrls: normalize_urls,
+			stripParams: strip_params,
+			ignoreUrlCase: ignore_url_case,
+			assets,
+			auditLinks: audit_links,
+			quiet,
+			onStage: (stage, { urls }) => {
+				if (!loud) {
+					return;
+				}
+				if (stage === 'fetch') {
+					this.log(chalk.yellow(`Requesting the following URLS:`));
+					for (let url of urls) {
+						this.log(chalk.cyan(url));
+					}
+					this.log();
+				} else if (stage === 'assets') {
+					this.log(chalk.yellow('\nComparing linked stylesheets and scripts...'));
+				} else if (stage === 'audit') {
+					this.log(chalk.yellow('Checking the links on each remote page...'));
+				} else if (stage === 'prepare') {
+					this.log(chalk.yellow('\nDone fetching URLs!'));
+					this.log(chalk.yellow('Preparing files...'));
+				} else if (stage === 'diff') {
+					this.log(chalk.yellow('Computing differences...'));
+				}
+			},
+			onProgress: logFetchProgress,
+			onWarning: (message) => loud && this.warn(chalk.red(message)),
+		};
+
+		const writeReport = async (result) => {
+			let report = renderReport(result, { format, title: root_domain });
+
+			// The "diff" format is only the patch, so its statuses go to stderr
+			if (format === FORMAT_DIFF) {
+				process.stderr.write(`${renderStatusTables(result)}\n\n`);
+			}
+
+			if (output_filename === 'stdout') {
+				this.log(report);
+			} else {
+				await fs.ensureDir(path.dirname(output_filename));
+				await fs.writeFile(output_filename, report);
+				loud && this.log(chalk.green(`Written to ${chalk.blue(output_filename)}`));
+			}
+
+			return report;
+		};
+
+		if (watch_build_directory) {
+			if (ci) {
+				this.error(`The "watch" flag can't be used along with "ci".`);
+			}
+			if (serve && format !== FORMAT_HTML) {
+				this.error(`The "serve" flag can only be used with the "${FORMAT_HTML}" format.`);
+			}
+
+			let report_server;
+			if (serve) {
+				try {
+					report_server = await startReportServer({ port });
+				} catch (e) {
+					this.error(`Could not start the report server on port ${port}. ${e.message}`);
+				}
+			}
+
+			try {
+				await watch(
+					Object.assign({}, compare_options, {
+						onUpdate: async (result, { changed, added, removed }) => {
+							let report = await writeReport(result);
+							if (report_server) {
+								report_server.update(report);
+							}
+
+							if (loud) {
+								let updated_paths = [...changed, ...added, ...removed];
+								if (updated_paths.length) {
+									this.log(chalk.yellow(`Updated ${updated_paths.join(', ')}`));
+								}
+								let { summary } = result;
+								this.log(
+									`${summary.pages} pages compared, ${
+										summary.changedPages
+									} with differences (${chalk.green(
+										`+${summary.added}`
+									)} / ${chalk.red(`-${summary.removed}`)})`
+								);
+							}
+						},
+						onError: (e) =>
+							this.warn(chalk.red(e && e.message ? e.message : String(e))),
+					})
+				);
+			} catch (e) {
+				report_server && (await report_server.close());
+				this.error(e.message, { code: e.code, suggestions: e.suggestions });
+			}
+
+			if (loud) {
+				report_server &&
+					this.log(chalk.green(`Serving the report at ${chalk.blue(report_server.url)}`));
+				this.log(
+					chalk.yellow(`Watching "${build_directory}" for changes. Press Ctrl+C to stop.`)
+				);
+			}
+			return;
+		}
+
+		let result;
+		try {
+			result = await compare(compare_options);
+		} catch (e) {
+			this.error(e.message, { code: e.code, suggestions: e.suggestions });
+		}
+		loud && this.log(chalk.green('Done computing all differences!'));
+		if (loud && result.savedSnapshot) {
+			this.log(chalk.green(`Saved snapshot to ${chalk.blue(result.savedSnapshot)}`));
+		}
+		if (loud && result.linkAudit) {
+			let { links, broken, redirected } = result.linkAudit.summary;
+			this.log(
+				`Link audit: ${links} links checked, ${chalk.red(
+					`${broken} broken`
+				)}, ${chalk.yellow(`${redirected} redirected`)}`
+			);
+		}
+		if (loud && result.cache) {
+			let { hits, revalidated, misses } = result.cache;
+			this.log(
+				chalk.green(
+					`HTTP cache: ${hits} used as is, ${revalidated} revalidated, ${misses} requested`
+				)
+			);
+		}
+
+		await writeReport(result);
+
+		if (ci) {
+			let { pages, summary } = result;
+			let { exit_code, failures } = checkThresholds(pages, {
+				max_changed_pages,
+				max_changed_lines,
+			});
+
+			// Keep the summary out of stdout when that is where our report went
+			const logSummary = (str) =>
+				output_filename === 'stdout' ? process.stderr.write(`${str}\n`) : this.log(str);
+
+			logSummary(
+				`\n${summary.pages} pages compared, ${
+					summary.changedPages
+				} with differences (${chalk.green(`+${summary.added}`)} / ${chalk.red(
+					`-${summary.removed}`
+				)}), ${summary.missingPages} missing in production, ${
+					summary.failedPages
+				} failed to fetch`
+			);
+			for (let failure of failures) {
+				logSummary(chalk.red(`✖ ${failure}`));
+			}
+			if (exit_code === EXIT_CODES.OK) {
+				logSummary(chalk.green('✔ Within thresholds'));
+			}
+
+			this.exit(exit_code);
+		}
+
+		this.exit(EXIT_CODES.OK);
+	}
+}
+
+// prettier-ignore
+DiffDevProdCommand.description = `Diff-Dev-Prod: View useful differences between development source code and deployed production code.
+
+Diff-Dev-Prod, or ddp for short, gets most of its "secret sauce" by computing *useful* differences between HTML documents. One way it can determine what differences are useful is by *cleaning* the HTML before starting its comparison.
+
+Besides some default cleaning steps such as removing HTML comments and sorting element attributes, ddp allows you to configure custom rules for cleaning the HTML.
+
+There are two types of cleaning one can do: cleaning ELEMENTS and cleaning ATTRIBUTES. Cleaning and element means either removing the element entirely, unwrapping it (keeping its contents), or emptying / replacing its contents. Cleaning an attribute also allows you to remove or replace said attribute. Text and attribute values can also be rewritten with regular expression REPLACEMENTS.
+
+Identifying what elements or attributes to clean can be done through the '--interactive' flag, or by passing in a JSON object to the '--clean-config' flag.
+
+The shape of the clean JSON configuration is as follows:
+
+\`\`\`
+{
+  ${chalk.gray('// An array of objects that configure which elements should be cleaned')}
+  ${chalk.cyan('"elements":')} [
+    {
+      ${chalk.gray('// A valid DOM selector for your element.')}
+      ${chalk.gray('//')} ${chalk.red('@required')}
+      ${chalk.magenta('"selector":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// After the elements have been selected, they can be filtered by`)}
+      ${chalk.gray(`// their contents for a simple string match.`)}
+      ${chalk.magenta('"contains":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// After the elements have been selected, they can be filtered by`)}
+      ${chalk.gray(`// checking their contents for a regular expression match.`)}
+      ${chalk.gray(`// Note that this regular expression should **not** contain starting`)}
+      ${chalk.gray(`// and ending slashes, and all backslashes should be escaped.`)}
+      ${chalk.gray(`// @example \`"containsRegex": "jQuery v\\\\d+"\``)}
+      ${chalk.magenta('"containsRegex":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// When using the 'containsRegex' key, optional flags can be set via`)}
+      ${chalk.gray(`// the "containsRegexFlags" key.`)}
+      ${chalk.gray(`// @example \`"containsRegexFlags": "i"\``)}
+      ${chalk.magenta('"containsRegexFlags":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Enter true or false to flag whether the element should be removed`)}
+      ${chalk.gray(`// or not. If used with 'replacement', the entire element is replaced`)}
+      ${chalk.gray(`// with the passed HTML. This overrides 'empty' if both are set.`)}
+      ${chalk.magenta('"remove":')} ${chalk.yellow('true')} | ${chalk.yellow('false')},
+
+      ${chalk.gray(`// Enter true or false to flag whether the element should be replaced`)}
+      ${chalk.gray(`// with its children, e.g. to drop a wrapper a CMS adds around your`)}
+      ${chalk.gray(`// markup. This overrides 'empty', and is overridden by 'remove'.`)}
+      ${chalk.gray(`// 'replacement' isn't used when unwrapping.`)}
+      ${chalk.magenta('"unwrap":')} ${chalk.yellow('true')} | ${chalk.yellow('false')},
+
+      ${chalk.gray(`// Enter true or false to flag whether the element should be emptied`)}
+      ${chalk.gray(`// or not (that is, have its contents removed). If used with`)}
+      ${chalk.gray(`// 'replacement', the element's contents are replaced with the`)}
+      ${chalk.gray(`// passed HTML. This is overridden by 'remove' if both are set.`)}
+      ${chalk.gray(`// If 'empty' or 'remove' are not set, the default action is to`)}
+      ${chalk.gray(`// empty the element.`)}
+      ${chalk.magenta('"empty":')} ${chalk.yellow('true')} | ${chalk.yellow('false')},
+
+      ${chalk.gray(`// If 'empty' or 'remove' are set, this value will be used to`)}
+      ${chalk.gray(`// replace the element or the element's contents. This value`)}
+      ${chalk.gray(`// will always be housed in an HTML comment.`)}
+      ${chalk.magenta('"replacement":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Only apply this rule to the 'local' or 'remote' HTML. Defaults to 'both'.`)}
+      ${chalk.magenta('"side":')} ${chalk.yellow('"local"')} | ${chalk.yellow('"remote"')} | ${chalk.yellow('"both"')},
+
+      ${chalk.gray(`// Optionally limit this rule to URLs matching a glob (e.g. "/blog/**"),`)}
+      ${chalk.gray(`// or a regular expression (with optional 'urlRegexFlags').`)}
+      ${chalk.magenta('"url":')} ${chalk.yellow('"String"')},
+      ${chalk.magenta('"urlRegex":')} ${chalk.yellow('"String"')},
+    }
+  ],
+
+  ${chalk.gray('// An array of objects that configure which attributes should be cleaned')}
+  ${chalk.cyan('"attributes":')} [
+    {
+      ${chalk.gray('// The attribute name to clean (e.g. "id").')}
+      ${chalk.gray('//')} ${chalk.red('@required')}
+      ${chalk.magenta('"attribute":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// An optional selector, so this attribute will only be searched for`)}
+      ${chalk.gray(`// on this matching element.`)}
+      ${chalk.magenta('"selector":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// After the attribute has been selected, it can be filtered by`)}
+      ${chalk.gray(`// its value for a simple string match.`)}
+      ${chalk.magenta('"contains":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// After the attribute has been selected, it can be filtered by`)}
+      ${chalk.gray(`// checking its value for a regular expression match.`)}
+      ${chalk.gray(`// Note that this regular expression should **not** contain starting`)}
+      ${chalk.gray(`// and ending slashes, and all backslashes should be escaped.`)}
+      ${chalk.gray(`// @example \`"containsRegex": "internal_id_\\\\d+"\``)}
+      ${chalk.magenta('"containsRegex":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// When using the 'containsRegex' key, optional flags can be set via`)}
+      ${chalk.gray(`// the "containsRegexFlags" key.`)}
+      ${chalk.gray(`// @example \`"containsRegexFlags": "i"\``)}
+      ${chalk.magenta('"containsRegexFlags":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Enter true or false to flag whether the attribute should be removed`)}
+      ${chalk.gray(`// or not. This overrides 'empty' if both are set. If 'empty' or 'remove'`)}
+      ${chalk.gray(`// are not set, the default action is to remove the attribute.`)}
+      ${chalk.magenta('"remove":')} ${chalk.yellow('true')} | ${chalk.yellow('false')},
+
+      ${chalk.gray(`// Enter true or false to flag whether the attribute should be emptied`)}
+      ${chalk.gray(`// or not (that is, have its value removed). If used with`)}
+      ${chalk.gray(`// 'replacement', the attribute's value is replaced with the`)}
+      ${chalk.gray(`// passed string. This is overridden by 'remove' if both are set.`)}
+      ${chalk.magenta('"empty":')} ${chalk.yellow('true')} | ${chalk.yellow('false')},
+
+      ${chalk.gray(`// If 'empty' is set, this value will be used to replace the attribute's value`)}
+      ${chalk.magenta('"replacement":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Only apply this rule to the 'local' or 'remote' HTML. Defaults to 'both'.`)}
+      ${chalk.magenta('"side":')} ${chalk.yellow('"local"')} | ${chalk.yellow('"remote"')} | ${chalk.yellow('"both"')},
+
+      ${chalk.gray(`// Optionally limit this rule to URLs matching a glob (e.g. "/blog/**"),`)}
+      ${chalk.gray(`// or a regular expression (with optional 'urlRegexFlags').`)}
+      ${chalk.magenta('"url":')} ${chalk.yellow('"String"')},
+      ${chalk.magenta('"urlRegex":')} ${chalk.yellow('"String"')},
+    }
+  ],
+
+  ${chalk.gray('// An array of regular expression find / replace rules, for normalizing text')}
+  ${chalk.gray('// and attribute values that differ without being useful (e.g. nonces,')}
+  ${chalk.gray('// cache busting query strings, timestamps or CDN hostnames)')}
+  ${chalk.cyan('"replacements":')} [
+    {
+      ${chalk.gray(`// The regular expression to find, with no surrounding '/'. Every match is`)}
+      ${chalk.gray(`// replaced, and all backslashes should be escaped.`)}
+      ${chalk.gray('//')} ${chalk.red('@required')}
+      ${chalk.gray(`// @example \`"regex": "\\\\?v=\\\\d+"\``)}
+      ${chalk.magenta('"regex":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Optional regular expression flags. The "g" flag is always added.`)}
+      ${chalk.magenta('"regexFlags":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// What to replace each match with, which can use "$1" style references.`)}
+      ${chalk.gray(`// Defaults to an empty string.`)}
+      ${chalk.magenta('"replacement":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// The attributes whose values should be rewritten (e.g. ["href", "src"]).`)}
+      ${chalk.magenta('"attributes":')} [${chalk.yellow('"String"')}],
+
+      ${chalk.gray(`// Enter true or false to flag whether text should be rewritten. Defaults`)}
+      ${chalk.gray(`// to true when no 'attributes' are set, and false otherwise.`)}
+      ${chalk.magenta('"text":')} ${chalk.yellow('true')} | ${chalk.yellow('false')},
+
+      ${chalk.gray(`// An optional selector, so only the matching elements (and the text`)}
+      ${chalk.gray(`// within them) are rewritten.`)}
+      ${chalk.magenta('"selector":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Only apply this rule to the 'local' or 'remote' HTML. Defaults to 'both'.`)}
+      ${chalk.magenta('"side":')} ${chalk.yellow('"local"')} | ${chalk.yellow('"remote"')} | ${chalk.yellow('"both"')},
+
+      ${chalk.gray(`// Optionally limit this rule to URLs matching a glob (e.g. "/blog/**"),`)}
+      ${chalk.gray(`// or a regular expression (with optional 'urlRegexFlags').`)}
+      ${chalk.magenta('"url":')} ${chalk.yellow('"String"')},
+      ${chalk.magenta('"urlRegex":')} ${chalk.yellow('"String"')},
+    }
+  ],
+
+  ${chalk.gray('// Class names are always sorted and deduped. Any class names matching these')}
+  ${chalk.gray('// names or globs are also dropped, e.g. the state classes a CMS adds.')}
+  ${chalk.cyan('"ignoreClasses":')} [${chalk.yellow('"cq-*"')}, ${chalk.yellow('"is-editing"')}],
+
+  ${chalk.gray('// Only compare the contents of the elements matching a selector. This can be')}
+  ${chalk.gray('// a selector String, an object, or an array of objects where the first one')}
+  ${chalk.gray('// that matches the URL is used. The --scope, --local-scope and --remote-scope')}
+  ${chalk.gray('// flags take precedence over this.')}
+  ${chalk.cyan('"scope":')} [
+    {
+      ${chalk.gray(`// The selector used on both sides, unless 'local' or 'remote' are set.`)}
+      ${chalk.magenta('"selector":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// The selectors used on the local and remote pages.`)}
+      ${chalk.magenta('"local":')} ${chalk.yellow('"String"')},
+      ${chalk.magenta('"remote":')} ${chalk.yellow('"String"')},
+
+      ${chalk.gray(`// Optionally limit this to URLs matching a glob (e.g. "/blog/**"),`)}
+      ${chalk.gray(`// or a regular expression (with optional 'urlRegexFlags').`)}
+      ${chalk.magenta('"url":')} ${chalk.yellow('"String"')},
+      ${chalk.magenta('"urlRegex":')} ${chalk.yellow('"String"')},
+    }
+  ]
+}
+\`\`\`
+
+Unknown keys, invalid selectors and invalid regular expressions in the clean config are reported before anything is fetched. Run 'ddp validate-config <file>' to check a clean config on its own, e.g. in CI.
+`;
+
+DiffDevProdCommand.usage = `[options] <domain>`;
+DiffDevProdCommand.examples = [
+	`$ ddp https://example.com`,
+	`$ ddp --interactive https://example.com`,
+	`$ ddp --clean-config='{ "elements": [{ "selector": "head" }] }' https://example.com`,
+	`$ ddp --clean-config='{ "elements": [{ "remove": true, "selector": "script", "containsRegex": "jQuery v\\\\d+", "containsRegexFlags": "i" }] }' https://example.com`,
+	`$ ddp --clean-config="clean-config.json" https://example.com`,
+	`$ cat clean-config.json | ddp --clean-config=stdin https://example.com`,
+	`$ ddp --quiet --output=stdout https://example.com`,
+	`$ ddp --output=report.json https://example.com`,
+	`$ ddp --quiet --format=json --output=stdout https://example.com`,
+	`$ ddp --dry-run --url-map='{ "prefix": "/en-us", "stripExtension": true, "trailingSlash": "always" }' https://example.com`,
+	`$ ddp --env production`,
+	`$ ddp --snapshot https://example.com`,
+	`$ ddp --from-snapshot=latest --ci https://example.com`,
+	`$ ddp --from-snapshot=2020-10-01T09-30-00-000Z --to-snapshot=latest`,
+	`$ ddp --base-domain=https://staging.example.com --url-list=urls.txt --labels=staging,production https://example.com`,
+	`$ ddp --cache --cache-max-age=3600 --clean-config="clean-config.json" https://example.com`,
+	`$ ddp --offline --clean-config="clean-config.json" https://example.com`,
+	`$ ddp --watch --serve https://example.com`,
+	`$ ddp --assets https://example.com`,
+	`$ ddp --audit-links --format=json --output=report.json https://example.com`,
+	`$ ddp --text-only --include-alt-text --scope="main" https://example.com`,
+	`$ ddp --normalize-urls --strip-params="utm_*,gclid" https://example.com`,
+	`$ ddp --local-scope="body" --remote-scope="#cms-content .richtext" https://example.com`,
+	`$ ddp --ci --max-changed-pages=5 --max-changed-lines=20 https://example.com`,
+	`$ ddp validate-config clean-config.json`,
+];
+
+DiffDevProdCommand.args = [
+	{
+		name: 'domain',
+		required: false,
+		description:
+			'The root domain to compare our local HTML against. This argument is optional when in `interactive` mode, or when the domain is set in a config file.',
+	},
+];
+
+DiffDevProdCommand.flags = {
+	'version': flags.version({ char: 'v', description: 'Show CLI version.' }),
+	'help': flags.help({ char: 'h', description: 'Show CLI help.' }),
+	'config': flags.string({
+		description: `The path to a project config file. When not set, ddp looks for a "ddp.config.js", ".ddprc.json" or ".ddprc" file, or a "ddp" key in "package.json", in the current directory and its parents. Flags passed on the command line override the config file.`,
+	}),
+	'env': flags.string({
+		char: 'e',
+		description: `The name of an environment, within the config file's "environments", whose options are merged over the base options.`,
+	}),
+	'interactive': flags.boolean({
+		char: 'i',
+		description: `When true, will prompt for inputs it has not explicitly received. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'build-dir': flags.string({
+		char: 'b',
+		description: `The directory of your built HTML files. Defaults to "build".`,
+	}),
+	'output': flags.string({
+		char: 'o',
+		description: `The filename of the diff report. If "stdout" is passed, the report is echoed out.`,
+	}),
+	'format': flags.string({
+		char: 'f',
+		description: `The format of the diff report. "${FORMAT_HTML}" is a browsable report, "${FORMAT_JSON}" is a machine-readable report with per-page statuses, line counts and hunks, and "${FORMAT_DIFF}" is only the raw unified diff string, with the page statuses printed to stderr. When not set, "${FORMAT_JSON}" is used for ".json" output files, "${FORMAT_DIFF}" is used when the output is "stdout", and "${FORMAT_HTML}" otherwise.`,
+		options: [FORMAT_HTML, FORMAT_JSON, FORMAT_DIFF],
+	}),
+	'clean-config': flags.string({
+		char: 'c',
+		description: `A JSON string, or a file path to a JSON file, to configure how the HTML should be "cleaned" before it is diff'd. If "stdin" is passed, piped input will be used as the clean config. If invalid JSON is passed, the command exits early. See the DESCRIPTION section for more information on this.`,
+	}),
+	'diff-engine': flags.string({
+		description: `How the differences are computed. "${DIFF_ENGINE_JS}" uses the built-in diff engine, "${DIFF_ENGINE_GNU}" writes the files to a temporary directory and runs GNU diff against them. Defaults to "${DIFF_ENGINE_JS}".`,
+		options: [DIFF_ENGINE_JS, DIFF_ENGINE_GNU],
+		default: DIFF_ENGINE_JS,
+	}),
+	'concurrency': flags.integer({
+		description: `The maximum number of URLs that are requested at the same time. Defaults to 8.`,
+		default: 8,
+	}),
+	'timeout': flags.integer({
+		description: `How long, in milliseconds, to wait on a single request before it is aborted. A timed out request is retried. Pass 0 to disable. Defaults to 30000.`,
+		default: 30000,
+	}),
+	'retries': flags.integer({
+		description: `How many times to retry a request that fails with a network error, a 5xx or a 429 response. Retries use exponential backoff, and honor any "Retry-After" header of up to a minute. A longer "Retry-After" fails the request instead. Defaults to 2.`,
+		default: 2,
+	}),
+	'cache': flags.boolean({
+		description: `When true, keeps the raw remote responses in a persistent cache within "--cache-dir". Cached responses are revalidated with conditional requests (using their "ETag" or "Last-Modified" headers), so unchanged pages aren't downloaded again. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'cache-dir': flags.string({
+		description: `The directory of the persistent HTTP cache. This is separate from the temporary ".ddp-cache" directory used by "--diff-engine=${DIFF_ENGINE_GNU}". Defaults to "${DEFAULT_HTTP_CACHE_DIRECTORY}".`,
+		default: DEFAULT_HTTP_CACHE_DIRECTORY,
+	}),
+	'cache-max-age': flags.integer({
+		description: `How long, in seconds, a cached response is used before it is revalidated. Defaults to 0, which revalidates every cached response.`,
+		default: 0,
+	}),
+	'offline': flags.boolean({
+		description: `When true, only uses cached responses and never touches the network. Pages that aren't cached fail to fetch. Implies "--cache". Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'clear-cache': flags.boolean({
+		description: `When true, deletes the "--cache-dir" directory, then exits.`,
+		default: false,
+	}),
+	'sitemap': flags.boolean({
+		description: `When true, reads the remote "sitemap.xml" (including sitemap indexes) to find pages that only exist in production. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'crawl-depth': flags.integer({
+		description: `Finds pages that only exist in production by following same-origin links from the fetched pages, up to this many links deep. Defaults to 0, which disables crawling.`,
+		default: 0,
+	}),
+	'ci': flags.boolean({
+		description: `When true, exits with a non-zero code when differences are found (${EXIT_CODES.DIFFERENCES_FOUND}), or when pages are missing in production or fail to fetch (${EXIT_CODES.PAGES_MISSING}), and prints a summary. Without any thresholds, any difference fails. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'max-changed-pages': flags.integer({
+		description: `Implies "--ci". Fails when more than this many pages have differences.`,
+	}),
+	'max-changed-lines': flags.integer({
+		description: `Implies "--ci". Fails when any single page has more than this many changed lines.`,
+	}),
+	'auth': flags.string({
+		char: 'u',
+		description: `HTTP basic auth credentials sent with every request to the compared domains, as "user:password". Can also be set with the DDP_AUTH environment variable, which keeps it out of your shell history. Credentials are redacted from any logs or reports.`,
+		env: 'DDP_AUTH',
+	}),
+	'header': flags.string({
+		char: 'H',
+		description: `A request header sent with every request to the compared domains, as "Name: value". Can be passed multiple times. Environment variables can be referenced as "\${NAME}" within the value (wrap it in single quotes so your shell doesn't expand it). Credential-like header values are redacted from any logs or reports.`,
+		multiple: true,
+	}),
+	'user-agent': flags.string({
+		description: `The User-Agent header sent with every remote request. Can also be set with the DDP_USER_AGENT environment variable.`,
+		env: 'DDP_USER_AGENT',
+	}),
+	'cookie-file': flags.string({
+		description: `A Netscape formatted cookie file (e.g. as exported by curl or a browser extension), whose matching cookies are sent with every remote request. Can also be set with the DDP_COOKIE_FILE environment variable.`,
+		env: 'DDP_COOKIE_FILE',
+	}),
+	'url-map': flags.string({
+		description: `A JSON string, or a file path to a JSON file, of rules that map local file paths to remote URLs. If "stdin" is passed, piped input will be used. See the README for the available rules.`,
+	}),
+	'base-domain': flags.string({
+		description: `Compare two remote environments, by fetching the "local" side from this domain rather than reading the build directory (e.g. "https://staging.example.com" against "https://example.com"). The URLs come from "--url-list", then the base domain's sitemap with "--sitemap", and otherwise the files in the build directory.`,
+	}),
+	'url-list': flags.string({
+		description: `A file of URLs or root relative paths to compare, one per line, when using "--base-domain". Blank lines and lines starting with "#" are skipped. If "stdin" is passed, piped input will be used.`,
+	}),
+	'labels': flags.string({
+		description: `Names for the two sides in the report, separated by a comma (e.g. "staging,production"). They must be different, and can't be "." or "..". Defaults to "Local" and "Remote", or the two hosts when using "--base-domain".`,
+	}),
+	'snapshot': flags.boolean({
+		description: `When true, saves the prepared remote HTML for every URL as a new snapshot within "--snapshot-dir", along with a manifest. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'snapshot-dir': flags.string({
+		description: `The directory snapshots are saved to and read from. Defaults to ".ddp-snapshots".`,
+		default: DEFAULT_SNAPSHOT_DIRECTORY,
+	}),
+	'from-snapshot': flags.string({
+		description: `Compare a saved snapshot against the current remote, rather than the build directory, to find changes made directly in production. Pass "latest", a snapshot ID from "--snapshot-dir", or the path to a snapshot.`,
+	}),
+	'to-snapshot': flags.string({
+		description: `Compare "--from-snapshot" against this snapshot, rather than the current remote. No requests are made, and the domain argument is optional.`,
+	}),
+	'assets': flags.boolean({
+		description: `When true, also compares the stylesheets ("link[rel=stylesheet]") and scripts ("script[src]") linked from each page. Local assets are read from the build directory, and remote assets are fetched. Assets are beautified, and any hash fingerprints in their file names are ignored. Assets only referenced on one side are listed in the report. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'audit-links': flags.boolean({
+		description: `When true, checks that every same-origin URL referenced by the prepared remote pages (in "href", "src" and "srcset" attributes) resolves, using HEAD requests. Broken links and redirect chains are reported per page, along with whether each one resolves in the build directory. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'watch': flags.boolean({
+		char: 'w',
+		description: `When true, keeps running after the report is written, and watches the build directory. Each time its HTML files change, only those pages are re-prepared and re-diff'd against the remote HTML held in memory, and the report is rewritten. Can't be used with "--base-domain", "--ci" or snapshots. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'serve': flags.boolean({
+		description: `When true, serves the HTML report from a local server at "--port", and reloads it in the browser each time it is rewritten. Implies "--watch". Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'port': flags.integer({
+		description: `The port the "--serve" report server listens on. Defaults to ${DEFAULT_REPORT_SERVER_PORT}.`,
+		default: DEFAULT_REPORT_SERVER_PORT,
+	}),
+	'dry-run': flags.boolean({
+		description: `When true, lists each local file and the URL it resolves to, then exits without requesting anything. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'scope': flags.string({
+		description: `Only compare the contents of the elements matching this selector, on both the local and remote pages. Takes precedence over any "scope" in the clean config.`,
+	}),
+	'local-scope': flags.string({
+		description: `Only compare the contents of the elements matching this selector on the local pages (e.g. "body"). Overrides "--scope" for local pages.`,
+	}),
+	'remote-scope': flags.string({
+		description: `Only compare the contents of the elements matching this selector on the remote pages (e.g. "#cms-content .richtext"). Overrides "--scope" for remote pages.`,
+	}),
+	'text-only': flags.boolean({
+		description: `When true, compares only the visible text of each page, one line per block-level element, rather than its HTML. Scripts, styles and hidden elements are skipped. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'include-alt-text': flags.boolean({
+		description: `When true, "alt" and "title" attributes are included in the text. Only used with "--text-only". Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'normalize-urls': flags.boolean({
+		description: `When true, normalizes the URLs in "href", "src", "action" and "srcset" attributes before comparing. Links to the compared domains become root relative, query params are sorted, and "index.html" and trailing slashes are dropped. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'strip-params': flags.string({
+		description: `The query params to drop from every URL, as names or globs separated by a comma (e.g. "utm_*,gclid"). Implies "--normalize-urls".`,
+	}),
+	'ignore-url-case': flags.boolean({
+		description: `When true, lowercases the path of every URL. Implies "--normalize-urls". Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+	'quiet': flags.boolean({
+		char: 'q',
+		description: `When true, suppresses any progress messages that otherwise would be logged out. Defaults to false.`,
+		default: false,
+		allowNo: true,
+	}),
+};
+
+module.exports = DiffDevProdCommand;
@@ -0,0 +1,828 @@
+const path = require('path');
+const fs = require('fs-extra');
+const glob = require('globby');
+const { compareAssets } = require('./lib/assets');
+const { auditLinks } = require('./lib/audit-links');
+const { SIDES } = require('./lib/clean-rule-filters');
+const { createUnifiedDiff, validateLabels } = require('./lib/create-unified-diff');
+const {
+	discoverRemoteUrls,
+	fetchSitemapUrls,
+	getPathFromUrl,
+} = require('./lib/discover-remote-urls');
+const { fetchWithRetry } = require('./lib/fetch-with-retry');
+const { createUnifiedDiffWithGnuDiff } = require('./lib/gnu-diff');
+const mapWithConcurrency = require('./lib/map-with-concurrency');
+const normalizeCleanConfig = require('./lib/normalize-clean-config');
+const normalizeDomain = require('./lib/normalize-domain');
+const { createCachedFetch } = require('./lib/http-cache');
+const { getPageResults, getAssetResults, summarizePageResults } = require('./lib/page-results');
+const { PAGE_STATES, PAGE_STATE_LABELS, getPageStatus } = require('./lib/page-status');
+const { prepareHtmlForUsefulComparisons } = require('./lib/prepare-html-for-useful-comparisons');
+const { readSnapshot, writeSnapshot } = require('./lib/snapshots');
+const {
+	parseHeaders,
+	parseNetscapeCookieFile,
+	createRequestOptions,
+	redactSecrets,
+} = require('./lib/request-options');
+const { createUrlMapper, validateUrlMap } = require('./lib/url-mapping');
+
+const DIFF_ENGINE_JS = 'js';
+const DIFF_ENGINE_GNU = 'gnu';
+
+/**
+ * Converts an entry from a URL list into a root relative path, e.g. "about/" or
+ * "https://example.com/about/" both become "/about/". Only the path and query are kept,
+ * so the same list can be used against any domain.
+ * @param {String} root_domain
+ * @param {String} entry
+ * @returns {String}
+ */
+const toRootRelativeUrl = (root_domain, entry) => {
+	let { pathname, search } = new URL(entry, `${root_domain}/`);
+	return `${pathname}${search}`;
+};
+
+/**
+ * Names the two sides of our reports after what they were loaded from, unless those
+ * names can't tell them apart (e.g. "http://" and "https://" on the same host).
+ * @param {String} local
+ * @param {String} remote
+ * @returns {{ local: String, remote: String }|undefined} `undefined` falls back to "local" and "remote"
+ */
+const getDefaultLabels = (local, remote) =>
+	validateLabels({ local, remote }).length ? undefined : { local, remote };
+
+/**
+ * Lists the HTML files in our build directory, along with the remote URL each one is compared against.
+ *
+ * When `baseDomain` is set, we are comparing two remote environments, and each page also
+ * gets the `baseUrl` it is compared with. Those pages come from `urlList` when it is set,
+ * then from the base domain's sitemap when `sitemap` is set, and otherwise from the build
+ * directory, which is then only used to find the URLs.
+ *
+ * @param {Object} opt
+ * @param {String} opt.domain
+ * @param {String} [opt.baseDomain]
+ * @param {String} [opt.buildDir="build"]
+ * @param {Object} [opt.urlMap] - See `createUrlMapper`
+ * @param {Array<String>} [opt.urlList] - URLs or root relative paths, only used with `baseDomain`
+ * @param {Boolean} [opt.sitemap=false] - Read the base domain's sitemap, only used with `baseDomain`
+ * @param {Object} [opt.fetchOptions] - Options passed to `fetchWithRetry` when reading the sitemap
+ * @returns {Promise<Array<{ path: String, filePath: String, url: String, baseUrl: String }>>} `path` is relative to the build directory
+ */
+const getPagesToCompare = async ({
+	domain,
+	baseDomain,
+	buildDir = 'build',
+	urlMap,
+	urlList,
+	sitemap = false,
+	fetchOptions = {},
+}) => {
+	if (urlMap) {
+		let url_map_errors = validateUrlMap(urlMap);
+		if (url_map_errors.length) {
+			throw new Error(`The URL map is invalid:\n${url_map_errors.join('\n')}`);
+		}
+	}
+
+	let root_domain = normalizeDomain(domain).domain;
+	let base_domain = baseDomain ? normalizeDomain(baseDomain).domain : null;
+
+	if (base_domain && (urlList || sitemap)) {
+		let entries =
+			urlList || (await fetchSitemapUrls(`${base_domain}/sitemap.xml`, fetchOptions));
+		let pages = [];
+		let seen_paths = new Set();
+		for (let entry of entries) {
+			let relative_url = toRootRelativeUrl(root_domain, entry);
+			let page_path = getPathFromUrl(`${root_domain}${relative_url}`);
+
+			// The same page could be listed more than once, e.g. with and without a trailing slash
+			if (seen_paths.has(page_path)) {
+				continue;
+			}
+			seen_paths.add(page_path);
+
+			pages.push({
+				path: page_path,
+				filePath: null,
+				url: `${root_domain}${relative_url}`,
+				baseUrl: `${base_domain}${relative_url}`,
+			});
+		}
+		return pages;
+	}
+
+	if (!(await fs.exists(buildDir))) {
+		throw new Error(`The directory "${buildDir}" does not exist.`);
+	}
+
+	const getUrlForFile = createUrlMapper(root_domain, urlMap);
+	const getBaseUrlForFile = base_domain && createUrlMapper(base_domain, urlMap);
+
+	// e.g. ['build/dir/file.html', 'build/dir/file2.html', ...]
+	let file_paths = await glob(path.join(buildDir, '**/*.html'));
+
+	return file_paths.map((file_path) => {
+		// e.g. 'dir/file.html'
+		let relative_path = path.relative(buildDir, file_path);
+		let page = { path: relative_path, filePath: file_path, url: getUrlForFile(relative_path) };
+		if (getBaseUrlForFile) {
+			page.baseUrl = getBaseUrlForFile(relative_path);
+		}
+		return page;
+	});
+};
+
+/**
+ * Lists the pages within our snapshots. Their URLs are moved onto `root_domain`, so a
+ * snapshot can be compared against any environment.
+ * @param {String} root_domain
+ * @param {Array<Object>} snapshots - Snapshots from `readSnapshot`
+ * @returns {Array<{ path: String, filePath: null, url: String }>}
+ */
+const getSnapshotPagesToCompare = (root_domain, snapshots) => {
+	let pages = new Map();
+	for (let snapshot of snapshots) {
+		for (let { path: page_path, url } of snapshot.pages) {
+			if (!pages.has(page_path)) {
+				let relative_url = toRootRelativeUrl(root_domain, url);
+				pages.set(page_path, {
+					path: page_path,
+					filePath: null,
+					url: `${root_domain}${relative_url}`,
+				});
+			}
+		}
+	}
+
+	return [...pages.values()];
+};
+
+/**
+ * Looks up the saved HTML and status of each page within a snapshot, in the same
+ * shape as our fetched pages. Pages that weren't in the snapshot are "missing".
+ * @param {Object} snapshot - A snapshot from `readSnapshot`
+ * @param {Array<Object>} pages_to_compare
+ * @returns {Array<{ html: String|null, page_status: Object }>}
+ */
+const getSnapshotResponses = (snapshot, pages_to_compare) => {
+	let snapshot_pages = new Map(snapshot.pages.map((page) => [page.path, page]));
+
+	return pages_to_compare.map(({ path: page_path, url }) => {
+		let page = snapshot_pages.get(page_path);
+		if (!page) {
+			return {
+				html: null,
+				page_status: {
+					url,
+					path: page_path,
+					status: null,
+					state: PAGE_STATES.MISSING_IN_PRODUCTION,
+					redirectedTo: null,
+					error: null,
+				},
+			};
+		}
+
+		let { html, status, state, redirectedTo = null, error = null } = page;
+		return {
+			html,
+			page_status: { url: page.url, path: page_path, status, state, redirectedTo, error },
+		};
+	});
+};
+
+/**
+ * Compares our local build directory against a remote domain.
+ *
+ * Every HTML file in the build directory is fetched from the remote, both sides are cleaned
+ * and prettified, and then diff'd. Pages that only exist remotely can optionally be found
+ * via the sitemap or by crawling.
+ *
+ * When `baseDomain` is set, two remote environments are compared instead (e.g. staging and
+ * production). The base domain takes the place of the build directory, see `getPagesToCompare`
+ * for where its URLs come from.
+ *
+ * Snapshots of the prepared remote HTML can be saved with `saveSnapshot`. A later run can
+ * then compare the current remote against that snapshot with `fromSnapshot`, to find any
+ * changes made directly in production, or compare two snapshots with `toSnapshot`.
+ *
+ * With `assets`, the stylesheets and scripts each page links to are compared as well, and
+ * added to the diff as extra files.
+ *
+ * With `auditLinks`, every same-origin URL the prepared remote pages reference is checked,
+ * and any broken or redirected links are reported per page.
+ *
+ * With `cache`, raw remote responses are kept in `cacheDir` between runs and revalidated
+ * with conditional requests. `offline` only uses those cached responses.
+ *
+ * @param {Object} options
+ * @param {String} options.domain - The root domain to compare against, e.g. "https://example.com"
+ * @param {String} [options.buildDir="build"]
+ * @param {String} [options.baseDomain] - Fetch the "local" side from this domain rather than the build directory
+ * @param {Array<String>} [options.urlList] - The URLs or paths to compare, when using `baseDomain`
+ * @param {Object} [options.labels] - Names for the `local` and `remote` sides, used in our reports. When
+ *                                    using `baseDomain`, these default to the two hosts
+ * @param {String} [options.fromSnapshot] - A snapshot directory that takes the place of the build directory
+ * @param {String} [options.toSnapshot] - A snapshot directory that takes the place of the remote domain
+ * @param {String} [options.saveSnapshot] - A new directory to save the prepared remote HTML to
+ * @param {Array<String>} [options.paths] - Only compare these pages, by their path relative to the build directory
+ * @param {Boolean} [options.keepPreparedHtml=false] - Include each page's `prepared` local and remote HTML in the result
+ * @param {Object} [options.cleanConfig] - See the "Clean Configuration" section in the README
+ * @param {Object} [options.urlMap] - See `createUrlMapper`
+ * @param {String} [options.diffEngine="js"] - "js" or "gnu"
+ * @param {Number} [options.concurrency=8]
+ * @param {Number} [options.timeout=30000] - Per request timeout, in milliseconds
+ * @param {Number} [options.retries=2]
+ * @param {Boolean} [options.cache=false] - Keep remote responses in a persistent cache
+ * @param {String} [options.cacheDir=".ddp-http-cache"]
+ * @param {Number} [options.cacheMaxAge=0] - In seconds. Older cached responses are revalidated
+ * @param {Boolean} [options.offline=false] - Only use cached responses, implies `cache`
+ * @param {Boolean} [options.sitemap=false]
+ * @param {Number} [options.crawlDepth=0]
+ * @param {String} [options.auth] - HTTP basic auth, as "user:password", sent to both compared domains.
+ *                                  Credentials within `domain` or `baseDomain` are only sent to that domain
+ * @param {Object|Array<String>} [options.headers] - An object, or "Name: value" strings
+ * @param {String} [options.userAgent]
+ * @param {String} [options.cookieFile] - A Netscape formatted cookie file
+ * @param {Boolean} [options.textOnly=false] - Compare only the visible text of each page
+ * @param {Boolean} [options.includeAltText=false] - Include `alt` and `title` attributes in the text
+ * @param {Boolean} [options.normalizeUrls=false] - Normalize the URLs in `href`, `src`, `action` and `srcset` attributes
+ * @param {Array<String>} [options.stripParams] - Globs of query params dropped from URLs (e.g. "utm_*"), implies `normalizeUrls`
+ * @param {Boolean} [options.ignoreUrlCase=false] - Lowercase the path of each URL, implies `normalizeUrls`
+ * @param {Boolean} [options.assets=false] - Also compare linked stylesheets and scripts
+ * @param {Boolean} [options.auditLinks=false] - Check the links on each remote page
+ * @param {Boolean} [options.quiet=false] - Silences warnings while cleaning the HTML
+ * @param {Function} [options.onStage] - Called with "fetch", "assets", "prepare", "audit" and "diff" as each stage starts, along with `{ urls }`
+ * @param {Function} [options.onProgress] - Called with `{ fetched, total, retried, failed }` as URLs are fetched
+ * @param {Function} [options.onWarning] - Called with a message for each page that can't be compared
+ * @returns {Promise<Object>} The `pages` results, a `summary`, the unified `diff` string, each page's status
+ *                            in `pageStatuses`, the `timings` and, when caching, the `cache` hits and misses.
+ *                            With `assets`, each asset's results and status are in `assets` and `assetStatuses`.
+ *                            With `auditLinks`, the broken and redirected links are in `linkAudit`. With
+ *                            `keepPreparedHtml`, each page's prepared HTML is in `prepared`
+ */
+const compare = async ({
+	domain,
+	buildDir = 'build',
+	baseDomain,
+	urlList,
+	labels,
+	fromSnapshot,
+	toSnapshot,
+	saveSnapshot,
+	paths,
+	keepPreparedHtml = false,
+	cleanConfig,
+	urlMap,
+	diffEngine = DIFF_ENGINE_JS,
+	concurrency = 8,
+	timeout = 30000,
+	retries = 2,
+	cache = false,
+	cacheDir,
+	cacheMaxAge = 0,
+	offline = false,
+	sitemap = false,
+	crawlDepth = 0,
+	auth,
+	headers = {},
+	userAgent,
+	cookieFile,
+	textOnly = false,
+	includeAltText = false,
+	normalizeUrls = false,
+	stripParams = [],
+	ignoreUrlCase = false,
+	assets = false,
+	auditLinks: audit_links = false,
+	quiet = false,
+	onStage = () => {},
+	onProgress = () => {},
+	onWarning = () => {},
+} = {}) => {
+	const started_at = Date.now();
+	const timings = {};
+
+	// Snapshots take the place of the build directory, and optionally the remote domain
+	let from_snapshot = fromSnapshot ? await readSnapshot(fromSnapshot) : null;
+	let to_snapshot = toSnapshot ? await readSnapshot(toSnapshot) : null;
+	if (to_snapshot && !from_snapshot) {
+		throw new Error(`"toSnapshot" can only be used along with "fromSnapshot".`);
+	}
+
+	domain = domain || (to_snapshot && to_snapshot.domain);
+	if (!domain) {
+		throw new Error(`A domain is required.`);
+	}
+	if (labels) {
+		let label_errors = validateLabels(labels);
+		if (label_errors.length) {
+			throw new Error(`The labels are invalid:\n${label_errors.join('\n')}`);
+		}
+	}
+
+	// Credentials within either domain are only sent to that domain, see `createRequestOptions`
+	let { domain: root_domain, auth: domain_auth } = normalizeDomain(domain);
+	let base_domain = null;
+	let base_domain_auth = null;
+	if (baseDomain) {
+		let normalized_base_domain = normalizeDomain(baseDomain);
+		base_domain = normalized_base_domain.domain;
+		base_domain_auth = normalized_base_domain.auth;
+
+		if (crawlDepth > 0) {
+			throw new Error(`Crawling isn't supported when comparing two remote environments.`);
+		}
+		if (!labels) {
+			labels = getDefaultLabels(new URL(base_domain).host, new URL(root_domain).host);
+		}
+	}
+
+	let clean_config = cleanConfig ? normalizeCleanConfig(cleanConfig) : null;
+
+	// Links to either compared domain are made root relative, the same as our local links
+	let normalize_urls =
+		normalizeUrls || stripParams.length || ignoreUrlCase
+			? {
+					origins: [root_domain, base_domain].filter(Boolean),
+					strip_params: stripParams,
+					ignore_case: ignoreUrlCase,
+			  }
+			: null;
+	let snapshot_normalize_urls = normalize_urls && {
+		strip_params: normalize_urls.strip_params,
+		ignore_case: normalize_urls.ignore_case,
+	};
+
+	if (from_snapshot) {
+		if (base_domain) {
+			throw new Error(
+				`A base domain and a snapshot can't both take the place of the build directory.`
+			);
+		}
+		if (crawlDepth > 0) {
+			throw new Error(`Crawling isn't supported when comparing against a snapshot.`);
+		}
+		if (assets) {
+			throw new Error(`Linked assets can't be compared when using a snapshot.`);
+		}
+		if (to_snapshot && saveSnapshot) {
+			throw new Error(`A new snapshot can't be saved when comparing two snapshots.`);
+		}
+		if (!labels) {
+			labels = getDefaultLabels(
+				path.basename(path.resolve(fromSnapshot)),
+				to_snapshot ? path.basename(path.resolve(toSnapshot)) : new URL(root_domain).host
+			);
+		}
+
+		// Snapshots are saved already prepared, so they can't be re-cleaned with a new config
+		for (let snapshot of [from_snapshot, to_snapshot].filter(Boolean)) {
+			if (
+				JSON.stringify(snapshot.cleanConfig || null) !== JSON.stringify(clean_config) ||
+				JSON.stringify(snapshot.normalizeUrls || null) !==
+					JSON.stringify(snapshot_normalize_urls) ||
+				Boolean(snapshot.textOnly) !== Boolean(textOnly)
+			) {
+				onWarning(
+					`The snapshot from ${snapshot.createdAt} was prepared with different options, so some differences may only be due to that.`
+				);
+			}
+		}
+	}
+
+	if (audit_links && (to_snapshot || offline)) {
+		throw new Error(`Links can't be audited without requesting the current remote.`);
+	}
+
+	// Resolve any credentials, headers and cookies we send with our remote requests
+	if (Array.isArray(headers)) {
+		headers = parseHeaders(headers);
+	}
+	let cookies = [];
+	if (cookieFile) {
+		if (!(await fs.exists(cookieFile))) {
+			throw new Error(`The cookie file "${cookieFile}" does not exist.`);
+		}
+		cookies = parseNetscapeCookieFile(await fs.readFile(cookieFile, 'utf8'));
+	}
+	const { getFetchOptions, secrets } = createRequestOptions({
+		auth,
+		origin_auth: Object.assign(
+			{},
+			domain_auth ? { [root_domain]: domain_auth } : null,
+			base_domain_auth ? { [base_domain]: base_domain_auth } : null
+		),
+		headers,
+		user_agent: userAgent,
+		cookies,
+		origins: [root_domain, base_domain].filter(Boolean),
+	});
+
+	// Nothing changes between retries when offline, so there's no point in making them
+	const cached_fetch =
+		cache || offline
+			? createCachedFetch({ directory: cacheDir, max_age: cacheMaxAge, offline })
+			: undefined;
+
+	let progress = { fetched: 0, total: 0, retried: 0, failed: 0 };
+	const fetch_options = {
+		retries: offline ? 0 : retries,
+		timeout,
+		fetch_options: getFetchOptions,
+		fetch: cached_fetch,
+		onRetry() {
+			progress.retried++;
+			onProgress(Object.assign({}, progress));
+		},
+	};
+	const fetchPage = (url, file_path) =>
+		fetchWithRetry(url, fetch_options)
+			.then(async (response) => {
+				let page_status = getPageStatus({ url, path: file_path, response });
+				let html = response.ok ? await response.text() : null;
+				return { html, page_status };
+			})
+			.catch((error) => ({
+				html: null,
+				page_status: getPageStatus({ url, path: file_path, error }),
+			}))
+			.then((result) => {
+				result.page_status.error = redactSecrets(result.page_status.error, secrets);
+				if (result.page_status.state === PAGE_STATES.FETCH_FAILED) {
+					progress.failed++;
+				}
+				progress.fetched++;
+				onProgress(Object.assign({}, progress));
+				return result;
+			});
+
+	let pages_to_compare = from_snapshot
+		? getSnapshotPagesToCompare(root_domain, [from_snapshot, to_snapshot].filter(Boolean))
+		: await getPagesToCompare({
+				domain: root_domain,
+				baseDomain: base_domain,
+				buildDir,
+				urlMap,
+				urlList,
+				sitemap,
+				fetchOptions: fetch_options,
+		  });
+	if (paths) {
+		pages_to_compare = pages_to_compare.filter((page) => paths.includes(page.path));
+	}
+	let files_paths_no_build_dir = pages_to_compare.map(({ path }) => path);
+	let urls = pages_to_compare.map(({ url }) => url);
+	progress.total = (base_domain ? urls.length : 0) + (to_snapshot ? 0 : urls.length);
+	onStage('fetch', { urls: [...urls] });
+
+	// Start downloading HTML _and_ reading HTML from disk (or from our base domain or snapshot)
+	let local_responses;
+	if (from_snapshot) {
+		local_responses = getSnapshotResponses(from_snapshot, pages_to_compare);
+	} else if (base_domain) {
+		local_responses = mapWithConcurrency(pages_to_compare, concurrency, ({ baseUrl, path }) =>
+			fetchPage(baseUrl, path)
+		);
+	} else {
+		local_responses = Promise.all(
+			pages_to_compare.map(({ filePath }) =>
+				fs.readFile(filePath, { encoding: 'utf8' }).then((html) => ({ html }))
+			)
+		);
+	}
+	let remote_responses = to_snapshot
+		? getSnapshotResponses(to_snapshot, pages_to_compare)
+		: mapWithConcurrency(urls, concurrency, (url, index) =>
+				fetchPage(url, files_paths_no_build_dir[index])
+		  );
+
+	local_responses = await local_responses;
+	remote_responses = await remote_responses;
+	let local_html = local_responses.map(({ html }) => html);
+	let remote_html = remote_responses.map(({ html }) => html);
+	let page_statuses = remote_responses.map(({ page_status }) => page_status);
+
+	// A page's state is based on how the remote responded, so note how its base responded too
+	if (base_domain || from_snapshot) {
+		page_statuses.forEach((page_status, index) => {
+			let base_page_status = local_responses[index].page_status;
+			page_status.baseUrl = base_page_status.url;
+			page_status.baseStatus = base_page_status.status;
+
+			if (local_html[index] != null || page_status.state === PAGE_STATES.FETCH_FAILED) {
+				return;
+			}
+
+			if (base_page_status.state === PAGE_STATES.MISSING_IN_PRODUCTION) {
+				// Pages missing from both environments stay "missing"
+				if (remote_html[index] != null) {
+					page_status.state = PAGE_STATES.ONLY_IN_PRODUCTION;
+				}
+			} else {
+				page_status.state = PAGE_STATES.FETCH_FAILED;
+				page_status.error = `${base_page_status.url}: ${
+					base_page_status.error || base_page_status.status
+				}`;
+			}
+		});
+	}
+
+	// Look for any pages that only exist remotely
+	if (!base_domain && !from_snapshot && (sitemap || crawlDepth > 0)) {
+		let discovered_pages;
+		try {
+			discovered_pages = await discoverRemoteUrls({
+				root_domain,
+				pages: urls.map((url, index) => ({
+					url,
+					html: remote_html[index],
+					page_status: page_statuses[index],
+				})),
+				fetchPage: (url, file_path) => {
+					progress.total++;
+					return fetchPage(url, file_path);
+				},
+				sitemap,
+				crawl_depth: crawlDepth,
+				concurrency,
+				fetch_options,
+			});
+		} catch (e) {
+			throw new Error(redactSecrets(e.message, secrets));
+		}
+
+		// A discovered URL that 404s has no local page it is missing from. It's a broken link
+		let not_found_urls = [];
+		for (let { url, path: file_path, html, page_status } of discovered_pages) {
+			if (page_status.state === PAGE_STATES.MISSING_IN_PRODUCTION) {
+				not_found_urls.push(url);
+				continue;
+			}
+			if (html != null) {
+				page_status.state = PAGE_STATES.ONLY_IN_PRODUCTION;
+			}
+			urls.push(url);
+			files_paths_no_build_dir.push(file_path);
+			local_html.push(null);
+			remote_html.push(html);
+			page_statuses.push(page_status);
+		}
+		if (not_found_urls.length) {
+			onWarning(
+				`Skipping ${
+					not_found_urls.length
+				} discovered URL(s) that weren't found: ${not_found_urls.join(', ')}`
+			);
+		}
+	}
+
+	// Compare the stylesheets and scripts our pages link to, from their unprepared HTML
+	let asset_files = [];
+	let asset_statuses = null;
+	if (assets) {
+		onStage('assets', { urls: [...urls] });
+		({ files: asset_files, asset_statuses } = await compareAssets({
+			pages: urls.map((url, index) => ({
+				path: files_paths_no_build_dir[index],
+				local: {
+					html: local_html[index],
+					url: base_domain ? pages_to_compare[index].baseUrl : url,
+				},
+				remote: {
+					html: remote_html[index],
+					url: page_statuses[index].redirectedTo || url,
+				},
+			})),
+			fetchAsset: (url) =>
+				fetchWithRetry(url, fetch_options)
+					.then(async (response) => ({
+						content: response.ok ? await response.text() : null,
+						status: response.status,
+						error: response.ok ? null : `${url}: ${response.status}`,
+					}))
+					.catch((error) => ({
+						content: null,
+						status: null,
+						error: redactSecrets(`${url}: ${error.message}`, secrets),
+					})),
+			build_directory: base_domain ? null : buildDir,
+			local_origin: new URL(root_domain).origin,
+			concurrency,
+		}));
+	}
+	timings.fetchMs = Date.now() - started_at;
+
+	// Now that we have both local and remote HTML, prepare it for useful comparisons
+	let prepare_started_at = Date.now();
+	onStage('prepare', { urls: [...urls] });
+	let local_prepared_html = local_html.map((html, index) => {
+		if (html == null) {
+			// Pages we discovered remotely don't have a local file
+			if (page_statuses[index].state !== PAGE_STATES.ONLY_IN_PRODUCTION) {
+				onWarning(`Skipping ${urls[index]} as it didn't return any HTML`);
+			}
+			return null;
+		}
+
+		// Snapshots are saved already prepared
+		if (from_snapshot) {
+			return html;
+		}
+
+		return prepareHtmlForUsefulComparisons(html, {
+			tidy_on_bad_html: true,
+			url: urls[index],
+			side: SIDES.LOCAL,
+			clean_config,
+			normalize_urls,
+			text_only: textOnly,
+			include_alt_text: includeAltText,
+			quiet,
+		});
+	});
+
+	const prepareRemoteHtml = (html, index, options) =>
+		prepareHtmlForUsefulComparisons(
+			html,
+			Object.assign(
+				{
+					tidy_on_bad_html: true,
+					url: urls[index],
+					side: SIDES.REMOTE,
+					clean_config,
+					normalize_urls,
+					text_only: textOnly,
+					include_alt_text: includeAltText,
+					quiet,
+				},
+				options
+			)
+		);
+
+	let remote_prepared_html = remote_html.map((html, index) => {
+		if (html == null) {
+			let { state, status } = page_statuses[index];
+			onWarning(
+				`${PAGE_STATE_LABELS[state]} for ${urls[index]}${status ? ` (${status})` : ''}`
+			);
+			return null;
+		}
+
+		if (to_snapshot) {
+			return html;
+		}
+
+		return prepareRemoteHtml(html, index);
+	});
+
+	timings.prepareMs = Date.now() - prepare_started_at;
+
+	// Check the links within our prepared remote HTML, so any cleaned elements are skipped
+	let link_audit = null;
+	if (audit_links) {
+		let audit_started_at = Date.now();
+		onStage('audit', { urls: [...urls] });
+		link_audit = await auditLinks({
+			pages: urls.map((url, index) => ({
+				path: files_paths_no_build_dir[index],
+				url: page_statuses[index].redirectedTo || url,
+
+				// Text only pages no longer have any links, so use their original HTML.
+				// Normalized URLs aren't the ones the page links to, so prepare it again without that
+				html: textOnly
+					? remote_html[index]
+					: normalize_urls && remote_html[index] != null
+					? prepareRemoteHtml(remote_html[index], index, {
+							normalize_urls: null,
+							quiet: true,
+					  })
+					: remote_prepared_html[index],
+			})),
+			origin: new URL(root_domain).origin,
+
+			// Our cache is keyed by URL, so it can't hold the HEAD requests we make
+			fetch_options: Object.assign({}, fetch_options, {
+				fetch: undefined,
+				onRetry: undefined,
+			}),
+			concurrency,
+			build_directory: base_domain || from_snapshot ? null : buildDir,
+			local_urls: pages_to_compare.map(({ url }) => url),
+		});
+		for (let page of link_audit.pages) {
+			for (let link of page.links) {
+				link.error = redactSecrets(link.error, secrets);
+			}
+		}
+		timings.auditMs = Date.now() - audit_started_at;
+	}
+
+	if (saveSnapshot) {
+		await writeSnapshot(saveSnapshot, {
+			domain: root_domain,
+			clean_config,
+			normalize_urls: snapshot_normalize_urls,
+			text_only: textOnly,
+			pages: page_statuses.map((page_status, index) =>
+				Object.assign({}, page_status, { html: remote_prepared_html[index] })
+			),
+		});
+	}
+	let diff_started_at = Date.now();
+	onStage('diff', { urls: [...urls] });
+
+	/**
+	 * Probably would be cleaner to "zip" filenames with file contents, but this works too.
+	 * This of course relies on the fact that indices across these arrays align.
+	 */
+	let files_to_diff = [];
+	for (let i = 0; i < files_paths_no_build_dir.length; i++) {
+		let local_file_html = local_prepared_html[i];
+		let remote_file_html = remote_prepared_html[i];
+
+		/**
+		 * A page missing on one side is diff'd against an empty file, so all of its
+		 * lines show as removed (or added). Otherwise we skip pages we couldn't load.
+		 */
+		let { state } = page_statuses[i];
+		if (local_file_html == null && state !== PAGE_STATES.ONLY_IN_PRODUCTION) {
+			continue;
+		}
+		if (remote_file_html == null && state !== PAGE_STATES.MISSING_IN_PRODUCTION) {
+			continue;
+		}
+
+		files_to_diff.push({
+			path: files_paths_no_build_dir[i],
+			local: local_file_html,
+			remote: remote_file_html,
+		});
+	}
+
+	files_to_diff.push(...asset_files);
+
+	// Get a unified diff string for these files
+	let diff;
+	let diff_labels = labels || {};
+	if (diffEngine === DIFF_ENGINE_GNU) {
+		try {
+			diff = await createUnifiedDiffWithGnuDiff(files_to_diff, { labels: diff_labels });
+		} catch (e) {
+			e.suggestions = [
+				'brew install diffutils  # if on macOS',
+				`Use the default "${DIFF_ENGINE_JS}" diff engine instead.`,
+			];
+			throw e;
+		}
+	} else {
+		diff = createUnifiedDiff(files_to_diff, { labels: diff_labels });
+	}
+
+	timings.diffMs = Date.now() - diff_started_at;
+	timings.totalMs = Date.now() - started_at;
+
+	let pages = getPageResults(diff, page_statuses);
+
+	return {
+		domain: root_domain,
+		buildDir,
+		cleanConfig: clean_config,
+		normalizeUrls: normalize_urls,
+		diffEngine,
+		textOnly,
+		baseDomain: base_domain,
+		fromSnapshot: fromSnapshot || null,
+		toSnapshot: toSnapshot || null,
+		savedSnapshot: saveSnapshot || null,
+		labels: labels || null,
+		cache: cached_fetch ? Object.assign({}, cached_fetch.stats) : null,
+		pages,
+		summary: summarizePageResults(pages),
+		pageStatuses: page_statuses,
+		assets: asset_statuses ? getAssetResults(diff, asset_statuses) : undefined,
+		linkAudit: link_audit || undefined,
+		assetStatuses: asset_statuses || undefined,
+		prepared: keepPreparedHtml
+			? page_statuses.map(({ path: page_path }, index) => ({
+					path: page_path,
+					local: local_prepared_html[index],
+					remote: remote_prepared_html[index],
+			  }))
+			: undefined,
+		diff,
+		timings,
+	};
+};
+
+module.exports = {
+	DIFF_ENGINE_JS,
+	DIFF_ENGINE_GNU,
+	getPagesToCompare,
+	compare,
+};
@@ -0,0 +1,264 @@
+const fs = require('fs-extra');
+const { css: cssBeautify, js: jsBeautify } = require('js-beautify');
+const { JSDOM } = require('jsdom');
+const decodeUrlPath = require('./decode-url-path');
+const mapWithConcurrency = require('./map-with-concurrency');
+const resolveWithin = require('./resolve-within');
+
+const ASSET_TYPES = {
+	CSS: 'css',
+	JS: 'js',
+};
+
+/**
+ * The states a linked asset can be in, based on which sides of the comparison reference it.
+ */
+const ASSET_STATES = {
+	OK: 'ok',
+	LOCAL_ONLY: 'local-only',
+	REMOTE_ONLY: 'remote-only',
+	FETCH_FAILED: 'fetch-failed',
+};
+
+const ASSET_STATE_LABELS = {
+	[ASSET_STATES.OK]: 'OK',
+	[ASSET_STATES.LOCAL_ONLY]: 'Only referenced locally',
+	[ASSET_STATES.REMOTE_ONLY]: 'Only referenced remotely',
+	[ASSET_STATES.FETCH_FAILED]: 'Fetch failed',
+};
+
+/**
+ * Matches the content hash build tools add to file names, e.g. the ".3f2a9c1b" in
+ * "main.3f2a9c1b.css" or the "-3f2a9c1bde" in "app-3f2a9c1bde.min.js".
+ */
+const FINGERPRINT_REGEX = /[.-][0-9a-f]{8,}(?=(?:\.min)?\.(?:css|js|map|woff2?|ttf|eot|otf|svg|png|jpe?g|gif|webp)\b)/gi;
+
+const BEAUTIFY_CONFIG = {
+	indent_size: 1,
+	wrap_line_length: 0,
+};
+
+/**
+ * Finds the stylesheets and scripts a page links to, resolved against the page's URL.
+ * Inline styles and scripts are already compared as part of the page's HTML.
+ * @param {String} html
+ * @param {String} page_url
+ * @returns {Array<{ type: String, url: String }>}
+ */
+const getAssetReferences = (html, page_url) => {
+	let { document } = new JSDOM(html, { url: page_url }).window;
+	let references = [];
+
+	for (let link of document.querySelectorAll('link[href]')) {
+		let rel = (link.getAttribute('rel') || '').toLowerCase().split(/\s+/);
+		if (rel.includes('stylesheet')) {
+			references.push({ type: ASSET_TYPES.CSS, url: link.href });
+		}
+	}
+	for (let script of document.querySelectorAll('script[src]')) {
+		references.push({ type: ASSET_TYPES.JS, url: script.src });
+	}
+
+	return references.filter(({ url }) => /^https?:/i.test(url));
+};
+
+/**
+ * The path an asset is compared under. Fingerprints, ".min" and query strings are dropped, so
+ * "/css/main.3f2a9c1b.css?v=2" locally and "/css/main-9b8c7d6e.min.css" remotely are matched.
+ * Assets from another origin than their page (e.g. a CDN) are kept apart under their host.
+ * @example getAssetPath('https://example.com/css/main.min.css', 'https://example.com/') // "css/main.css"
+ * @example getAssetPath('https://cdn.example.net/app.js', 'https://example.com/') // "cdn.example.net/app.js"
+ * @param {String} url
+ * @param {String} [page_url] - The page that references the asset
+ * @returns {String}
+ */
+const getAssetPath = (url, page_url) => {
+	let parsed_url = new URL(url);
+	let asset_path = decodeUrlPath(parsed_url.pathname)
+		.join('/')
+		.replace(FINGERPRINT_REGEX, '')
+		.replace(/\.min(?=\.(?:css|js)$)/i, '');
+
+	return page_url && new URL(page_url).origin === parsed_url.origin
+		? asset_path
+		: `${parsed_url.host}/${asset_path}`;
+};
+
+/**
+ * Prepares a stylesheet or script for a useful comparison, by beautifying it (so a minified
+ * file is diff'd line by line) and dropping any fingerprints from the file names it references.
+ * @param {String} content
+ * @param {String} type - One of `ASSET_TYPES`
+ * @returns {String}
+ */
+const prepareAssetForUsefulComparisons = (content, type) => {
+	let unfingerprinted = content.replace(FINGERPRINT_REGEX, '');
+	let beautify = type === ASSET_TYPES.CSS ? cssBeautify : jsBeautify;
+
+	return beautify(unfingerprinted, BEAUTIFY_CONFIG) + '\n';
+};
+
+/**
+ * Collects the assets referenced by each side of our pages, keyed by their asset path.
+ * @param {Array<Object>} pages
+ * @param {String} side - "local" or "remote"
+ * @returns {Map<String, { type: String, url: String, pages: Array<String> }>}
+ */
+const collectAssetReferences = (pages, side) => {
+	let assets = new Map();
+	for (let page of pages) {
+		let { html, url } = page[side];
+		if (html == null) {
+			continue;
+		}
+
+		for (let reference of getAssetReferences(html, url)) {
+			let asset_path = getAssetPath(reference.url, url);
+			if (!assets.has(asset_path)) {
+				assets.set(asset_path, Object.assign(reference, { pages: [] }));
+			}
+			let asset = assets.get(asset_path);
+			if (!asset.pages.includes(page.path)) {
+				asset.pages.push(page.path);
+			}
+		}
+	}
+
+	return assets;
+};
+
+/**
+ * Compares the stylesheets and scripts linked from the local and remote versions of each page.
+ *
+ * Local assets on the same origin as `local_origin` are read from the build directory, and
+ * everything else is fetched. Assets referenced on both sides are prepared and returned as
+ * extra files to diff. Assets only referenced on one side are listed, but not diff'd.
+ *
+ * @param {Object} opt
+ * @param {Array<Object>} opt.pages - Each page's `path`, along with the `local` and `remote` `{ html, url }` it was loaded from
+ * @param {Function} opt.fetchAsset - Called with a URL, resolves with `{ content, status, error }`
+ * @param {String} [opt.build_directory] - Where to read local assets from. When not set, local assets are fetched
+ * @param {String} [opt.local_origin] - The origin whose assets are read from the build directory
+ * @param {Number} [opt.concurrency=8]
+ * @returns {Promise<{ files: Array<Object>, asset_statuses: Array<Object> }>}
+ */
+const compareAssets = async ({
+	pages,
+	fetchAsset,
+	build_directory,
+	local_origin,
+	concurrency = 8,
+}) => {
+	let local_assets = collectAssetReferences(pages, 'local');
+	let remote_assets = collectAssetReferences(pages, 'remote');
+	let asset_paths = [...new Set([...local_assets.keys(), ...remote_assets.keys()])].sort();
+
+	const loadLocalAsset = async (url) => {
+		if (!build_directory || new URL(url).origin !== local_origin) {
+			return fetchAsset(url);
+		}
+
+		let file_path;
+		try {
+			file_path = resolveWithin(
+				build_directory,
+				decodeUrlPath(new URL(url).pathname).join('/')
+			);
+		} catch (e) {
+			return { content: null, status: null, error: e.message };
+		}
+		if (!(await fs.exists(file_path))) {
+			return { content: null, status: null, error: `${file_path} does not exist` };
+		}
+		return { content: await fs.readFile(file_path, 'utf8'), status: null, error: null };
+	};
+
+	let results = await mapWithConcurrency(asset_paths, concurrency, async (asset_path) => {
+		let local_asset = local_assets.get(asset_path);
+		let remote_asset = remote_assets.get(asset_path);
+		let asset_status = {
+			path: asset_path,
+			type: (local_asset || remote_asset).type,
+			state: ASSET_STATES.OK,
+			localUrl: local_asset ? local_asset.url : null,
+			remoteUrl: remote_asset ? remote_asset.url : null,
+			status: null,
+			error: null,
+			pages: [
+				...new Set(
+					[].concat(
+						local_asset ? local_asset.pages : [],
+						remote_asset ? remote_asset.pages : []
+					)
+				),
+			],
+		};
+
+		if (!local_asset || !remote_asset) {
+			asset_status.state = local_asset ? ASSET_STATES.LOCAL_ONLY : ASSET_STATES.REMOTE_ONLY;
+			return { asset_status, file: null };
+		}
+
+		let [local, remote] = await Promise.all([
+			loadLocalAsset(local_asset.url),
+			fetchAsset(remote_asset.url),
+		]);
+		asset_status.status = remote.status;
+		if (local.content == null || remote.content == null) {
+			asset_status.state = ASSET_STATES.FETCH_FAILED;
+			asset_status.error = [local.error, remote.error].filter(Boolean).join(', ') || null;
+			return { asset_status, file: null };
+		}
+
+		return {
+			asset_status,
+			file: {
+				path: asset_path,
+				local: prepareAssetForUsefulComparisons(local.content, asset_status.type),
+				remote: prepareAssetForUsefulComparisons(remote.content, asset_status.type),
+			},
+		};
+	});
+
+	return {
+		files: results.map(({ file }) => file).filter(Boolean),
+		asset_statuses: results.map(({ asset_status }) => asset_status),
+	};
+};
+
+/**
+ * Formats our asset statuses as plain text, one asset per line.
+ * @param {Array<Object>} asset_statuses
+ * @returns {String}
+ */
+const formatAssetStatuses = (asset_statuses) => {
+	let label_width = Math.max(...asset_statuses.map((a) => ASSET_STATE_LABELS[a.state].length));
+
+	return asset_statuses
+		.map(({ type, state, localUrl, remoteUrl, error }) => {
+			let line = [
+				type.toUpperCase().padEnd(3),
+				ASSET_STATE_LABELS[state].padEnd(label_width),
+				remoteUrl || localUrl,
+			].join('  ');
+			if (localUrl && remoteUrl && localUrl !== remoteUrl) {
+				line += ` (compared with ${localUrl})`;
+			}
+			if (error) {
+				line += ` (${error})`;
+			}
+			return line;
+		})
+		.join('\n');
+};
+
+module.exports = {
+	ASSET_TYPES,
+	ASSET_STATES,
+	ASSET_STATE_LABELS,
+	getAssetReferences,
+	getAssetPath,
+	prepareAssetForUsefulComparisons,
+	compareAssets,
+	formatAssetStatuses,
+};
@@ -0,0 +1,286 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { JSDOM } = require('jsdom');
+const decodeUrlPath = require('./decode-url-path');
+const { fetchWithRetry } = require('./fetch-with-retry');
+const mapWithConcurrency = require('./map-with-concurrency');
+const { parseSrcset } = require('./normalize-urls');
+const resolveWithin = require('./resolve-within');
+
+/**
+ * The states a checked link can be in.
+ */
+const LINK_STATES = {
+	OK: 'ok',
+	REDIRECTED: 'redirected',
+	BROKEN: 'broken',
+};
+
+const LINK_STATE_LABELS = {
+	[LINK_STATES.OK]: 'OK',
+	[LINK_STATES.REDIRECTED]: 'Redirected',
+	[LINK_STATES.BROKEN]: 'Broken',
+};
+
+// Redirect chains longer than this are reported as broken
+const MAX_REDIRECTS = 10;
+
+// Servers that don't support HEAD requests respond with these, so we try a GET instead
+const HEAD_NOT_ALLOWED_STATUS_CODES = [405, 501];
+
+/**
+ * Finds the URLs a page references within its `href`, `src` and `srcset` attributes,
+ * resolved against the page's URL. Fragments are dropped, and only http(s) URLs are kept.
+ * @param {String} html
+ * @param {String} page_url
+ * @returns {Array<String>} Unique URLs, in the order they were found
+ */
+const getLinkReferences = (html, page_url) => {
+	let { document } = new JSDOM(html, { url: page_url }).window;
+	let urls = new Set();
+
+	const addUrl = (value) => {
+		let url;
+		try {
+			url = new URL(value.trim(), document.baseURI);
+		} catch (e) {
+			return;
+		}
+		if (url.protocol === 'http:' || url.protocol === 'https:') {
+			url.hash = '';
+			urls.add(url.href);
+		}
+	};
+
+	for (let element of document.querySelectorAll('[href], [src], [srcset]')) {
+		for (let attribute of ['href', 'src']) {
+			let value = element.getAttribute(attribute);
+			if (value && value.trim()) {
+				addUrl(value);
+			}
+		}
+		let srcset = element.getAttribute('srcset');
+		if (srcset) {
+			parseSrcset(srcset).forEach(({ url }) => addUrl(url));
+		}
+	}
+
+	return [...urls];
+};
+
+/**
+ * Checks a single URL, following (and recording) its redirects ourselves.
+ * A HEAD request is used, unless the server doesn't allow them.
+ *
+ * A redirect that leaves the URL's origin isn't followed, so nothing we send with our own
+ * requests reaches the other site. The link is reported as redirected to it, unchecked.
+ *
+ * @param {String} url
+ * @param {Object} [fetch_options] - Options passed to `fetchWithRetry`
+ * @returns {Promise<{ url: String, status: Number|null, state: String, redirects: Array<Object>, finalUrl: String, error: String|null }>}
+ */
+const checkLink = async (url, fetch_options = {}) => {
+	let { origin } = new URL(url);
+	let redirects = [];
+	let current_url = url;
+	let method = 'HEAD';
+
+	const request = (request_url) =>
+		fetchWithRetry(
+			request_url,
+			Object.assign({}, fetch_options, {
+				fetch_options: (u) =>
+					Object.assign(
+						{},
+						typeof fetch_options.fetch_options === 'function'
+							? fetch_options.fetch_options(u)
+							: fetch_options.fetch_options,
+						{ method, redirect: 'manual' }
+					),
+			})
+		);
+
+	const result = (status, state, error = null) => ({
+		url,
+		status,
+		state,
+		redirects,
+		finalUrl: current_url,
+		error,
+	});
+
+	while (true) {
+		let response;
+		try {
+			response = await request(current_url);
+			if (method === 'HEAD' && HEAD_NOT_ALLOWED_STATUS_CODES.includes(response.status)) {
+				method = 'GET';
+				response = await request(current_url);
+			}
+		} catch (e) {
+			return result(null, LINK_STATES.BROKEN, e.message || String(e));
+		}
+
+		// Drain the body, we only need the status
+		response.text().catch(() => {});
+
+		let location = response.headers.get('location');
+		if (response.status >= 300 && response.status < 400 && location) {
+			redirects.push({ url: current_url, status: response.status });
+			if (redirects.length > MAX_REDIRECTS) {
+				return result(response.status, LINK_STATES.BROKEN, 'Too many redirects');
+			}
+			current_url = new URL(location, current_url).href;
+			if (new URL(current_url).origin !== origin) {
+				return result(response.status, LINK_STATES.REDIRECTED);
+			}
+			continue;
+		}
+
+		if (response.status >= 400) {
+			return result(response.status, LINK_STATES.BROKEN, response.statusText || null);
+		}
+
+		return result(response.status, redirects.length ? LINK_STATES.REDIRECTED : LINK_STATES.OK);
+	}
+};
+
+/**
+ * Returns whether a URL resolves to a file within our build directory, either directly
+ * or as a directory's "index.html", or is one of the URLs our local pages are compared with.
+ * @param {String} url
+ * @param {String} build_directory
+ * @param {Set<String>} page_urls
+ * @returns {Promise<Boolean>}
+ */
+const resolvesLocally = async (url, build_directory, page_urls) => {
+	let { origin, pathname } = new URL(url);
+	if (page_urls.has(`${origin}${pathname}`)) {
+		return true;
+	}
+
+	// `decodeUrlPath` keeps the path within the build directory, other than the root itself
+	let relative_path = decodeUrlPath(pathname).join('/');
+	for (let candidate of [relative_path, path.join(relative_path, 'index.html')].filter(Boolean)) {
+		let stats = await fs.stat(resolveWithin(build_directory, candidate)).catch(() => null);
+		if (stats && stats.isFile()) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Checks that everything our remote pages link to actually resolves. Only links on the same
+ * origin as the pages are checked, and each unique link is only requested once.
+ *
+ * Links that are broken or redirected are reported per page. When a build directory is
+ * passed, each of those links also notes whether it resolves `inBuild`.
+ *
+ * @param {Object} opt
+ * @param {Array<{ path: String, url: String, html: String|null }>} opt.pages - The remote pages, with the HTML to read links from
+ * @param {String} opt.origin - Only links on this origin are checked
+ * @param {Object} [opt.fetch_options] - Options passed to `fetchWithRetry`
+ * @param {Number} [opt.concurrency=8]
+ * @param {String} [opt.build_directory]
+ * @param {Array<String>} [opt.local_urls] - The URLs our local pages are compared with
+ * @returns {Promise<Object>} The `pages` with problem `links`, and a `summary` of what was checked
+ */
+const auditLinks = async ({
+	pages,
+	origin,
+	fetch_options = {},
+	concurrency = 8,
+	build_directory,
+	local_urls = [],
+}) => {
+	let links_by_page = pages.map((page) =>
+		page.html == null
+			? []
+			: getLinkReferences(page.html, page.url).filter((url) => new URL(url).origin === origin)
+	);
+
+	let unique_urls = [...new Set([].concat(...links_by_page))];
+	let checks = await mapWithConcurrency(unique_urls, concurrency, (url) =>
+		checkLink(url, fetch_options)
+	);
+
+	let page_urls = new Set(
+		local_urls.map((url) => {
+			let { origin: url_origin, pathname } = new URL(url);
+			return `${url_origin}${pathname}`;
+		})
+	);
+	let checks_by_url = new Map();
+	for (let check of checks) {
+		if (check.state !== LINK_STATES.OK && build_directory) {
+			check.inBuild = await resolvesLocally(check.url, build_directory, page_urls);
+		}
+		checks_by_url.set(check.url, check);
+	}
+
+	let audited_pages = pages
+		.map(({ path: page_path, url }, index) => ({
+			path: page_path,
+			url,
+			links: links_by_page[index]
+				.map((link_url) => checks_by_url.get(link_url))
+				.filter((check) => check.state !== LINK_STATES.OK),
+		}))
+		.filter((page) => page.links.length);
+
+	return {
+		pages: audited_pages,
+		summary: {
+			pages: pages.filter((page) => page.html != null).length,
+			links: checks.length,
+			broken: checks.filter((check) => check.state === LINK_STATES.BROKEN).length,
+			redirected: checks.filter((check) => check.state === LINK_STATES.REDIRECTED).length,
+		},
+	};
+};
+
+/**
+ * Formats a link audit as plain text, listing each page's problem links.
+ * @param {Object} link_audit - From `auditLinks`
+ * @returns {String}
+ */
+const formatLinkAudit = ({ pages, summary }) => {
+	let lines = [
+		`${summary.links} links checked on ${summary.pages} pages, ${summary.broken} broken, ${summary.redirected} redirected`,
+	];
+
+	for (let page of pages) {
+		lines.push('', page.url);
+		for (let { url, status, state, redirects, finalUrl, error, inBuild } of page.links) {
+			let chain = redirects
+				.map((redirect) => `${redirect.url} (${redirect.status})`)
+				.concat(finalUrl)
+				.join(' -> ');
+			let line = `  ${String(status || '---').padEnd(3)}  ${
+				LINK_STATE_LABELS[state]
+			}  ${chain}`;
+			if (error) {
+				line += ` (${error})`;
+			}
+			if (inBuild != null) {
+				line += inBuild
+					? ' (resolves in the build directory)'
+					: ' (not in the build directory)';
+			}
+			lines.push(line);
+		}
+	}
+
+	return lines.join('\n');
+};
+
+module.exports = {
+	LINK_STATES,
+	LINK_STATE_LABELS,
+	getLinkReferences,
+	checkLink,
+	auditLinks,
+	formatLinkAudit,
+};
@@ -0,0 +1,76 @@
+const { PAGE_STATES } = require('./page-status');
+
+/**
+ * Exit codes used when running in CI mode, and by `validate-config`. oclif uses `1` for
+ * uncaught errors (e.g. a report that failed to write) and `2` for its own errors (e.g.
+ * invalid flags), so we skip both. CI can then tell a run that found differences from
+ * one that crashed.
+ */
+const EXIT_CODES = {
+	OK: 0,
+	PAGES_MISSING: 3,
+	DIFFERENCES_FOUND: 4,
+	INVALID_CLEAN_CONFIG: 5,
+};
+
+/**
+ * Checks our page results against the CI thresholds.
+ *
+ * When no thresholds are set, _any_ difference is a failure. Pages that are missing
+ * in production or failed to fetch always fail, and take precedence over differences.
+ *
+ * @param {Array<Object>} pages - Results from `getPageResults`
+ * @param {Object} [opt]
+ * @param {Number} [opt.max_changed_pages] - Fail when more than this many pages have differences
+ * @param {Number} [opt.max_changed_lines] - Fail when any page has more than this many changed lines
+ * @returns {{ exit_code: Number, failures: Array<String> }}
+ */
+const checkThresholds = (pages, { max_changed_pages, max_changed_lines } = {}) => {
+	let failures = [];
+
+	let missing_pages = pages.filter(({ state }) => state === PAGE_STATES.MISSING_IN_PRODUCTION);
+	let failed_pages = pages.filter(({ state }) => state === PAGE_STATES.FETCH_FAILED);
+	if (missing_pages.length) {
+		failures.push(`${missing_pages.length} page(s) missing in production`);
+	}
+	if (failed_pages.length) {
+		failures.push(`${failed_pages.length} page(s) failed to fetch`);
+	}
+	if (failures.length) {
+		return { exit_code: EXIT_CODES.PAGES_MISSING, failures };
+	}
+
+	let changed_pages = pages.filter(({ changed }) => changed);
+	if (max_changed_pages == null && max_changed_lines == null) {
+		if (changed_pages.length) {
+			failures.push(`${changed_pages.length} page(s) have differences`);
+		}
+	} else {
+		if (max_changed_pages != null && changed_pages.length > max_changed_pages) {
+			failures.push(
+				`${changed_pages.length} page(s) have differences, the maximum is ${max_changed_pages}`
+			);
+		}
+		if (max_changed_lines != null) {
+			for (let { url, added, removed } of changed_pages) {
+				if (added + removed > max_changed_lines) {
+					failures.push(
+						`${url} has ${
+							added + removed
+						} changed lines, the maximum is ${max_changed_lines}`
+					);
+				}
+			}
+		}
+	}
+
+	return {
+		exit_code: failures.length ? EXIT_CODES.DIFFERENCES_FOUND : EXIT_CODES.OK,
+		failures,
+	};
+};
+
+module.exports = {
+	EXIT_CODES,
+	checkThresholds,
+};
@@ -0,0 +1,152 @@
+const SIDES = {
+	LOCAL: 'local',
+	REMOTE: 'remote',
+	BOTH: 'both',
+};
+
+/**
+ * Converts a glob into a regular expression. `**` matches across slashes, `*` matches
+ * within a single path segment, and `?` matches a single character.
+ * @param {String} glob
+ * @returns {RegExp}
+ */
+const globToRegExp = (glob) => {
+	let source = '';
+	for (let i = 0; i < glob.length; i++) {
+		let char = glob[i];
+		if (char === '*' && glob[i + 1] === '*') {
+			source += '.*';
+			i++;
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
+		} else {
+			source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+		}
+	}
+
+	return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Returns the part of a URL our patterns are matched against. Patterns that start with
+ * a protocol are matched against the full URL, otherwise against its path and query.
+ * @param {String} url
+ * @param {String} pattern
+ * @returns {String}
+ */
+const getMatchableUrl = (url, pattern) => {
+	if (/^https?:\/\//i.test(pattern)) {
+		return url;
+	}
+
+	try {
+		let { pathname, search } = new URL(url);
+		return `${pathname}${search}`;
+	} catch (e) {
+		return url;
+	}
+};
+
+/**
+ * Checks whether a clean config rule (or scope) applies to a URL, via its optional
+ * `url` glob or `urlRegex` / `urlRegexFlags` keys. Rules without either apply everywhere.
+ * @example ruleAppliesToUrl({ url: '/blog/**' }, 'https://example.com/blog/post/') // true
+ * @param {Object} rule
+ * @param {String} [rule.url]
+ * @param {String} [rule.urlRegex]
+ * @param {String} [rule.urlRegexFlags]
+ * @param {String} [url] - When not set, only rules without a URL filter apply
+ * @returns {Boolean}
+ */
+const ruleAppliesToUrl = ({ url: url_glob, urlRegex, urlRegexFlags } = {}, url) => {
+	if (!url_glob && !urlRegex) {
+		return true;
+	}
+	if (!url) {
+		return false;
+	}
+
+	if (url_glob && !globToRegExp(url_glob).test(getMatchableUrl(url, url_glob))) {
+		return false;
+	}
+	if (
+		urlRegex &&
+		!new RegExp(urlRegex, urlRegexFlags || undefined).test(getMatchableUrl(url, urlRegex))
+	) {
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * Checks whether a clean config rule applies to a side via its optional `side` key,
+ * which is one of 'local', 'remote' or 'both'. Rules without a `side` apply to both.
+ * @param {Object} rule
+ * @param {String} [rule.side]
+ * @param {String} [side] - When not set, only rules for both sides apply
+ * @returns {Boolean}
+ */
+const ruleAppliesToSide = ({ side: rule_side } = {}, side) => {
+	if (!rule_side || rule_side === SIDES.BOTH) {
+		return true;
+	}
+
+	return rule_side === side;
+};
+
+/**
+ * Checks whether a clean config rule applies to this page, by both its side and URL.
+ * @param {Object} rule
+ * @param {String} [url]
+ * @param {String} [side]
+ * @returns {Boolean}
+ */
+const ruleApplies = (rule, url, side) =>
+	ruleAppliesToSide(rule, side) && ruleAppliesToUrl(rule, url);
+
+/**
+ * Finds the selector that scopes our comparison to a region of the page. The scope config can be:
+ *
+ * - A selector String, used for both sides on every page
+ * - An Object with `selector`, `local` and / or `remote` selectors, plus an optional
+ *   `url` / `urlRegex` filter
+ * - An Array of these, where the first one that applies to the URL wins
+ *
+ * @param {String|Object|Array} scope
+ * @param {String} url
+ * @param {String} side - Either `SIDES.LOCAL` or `SIDES.REMOTE`
+ * @returns {String|null}
+ */
+const getScopeSelector = (scope, url, side) => {
+	if (!scope) {
+		return null;
+	}
+
+	for (let entry of [].concat(scope)) {
+		if (typeof entry === 'string') {
+			return entry;
+		}
+		if (!entry || !ruleAppliesToUrl(entry, url)) {
+			continue;
+		}
+
+		let selector = entry[side] || entry.selector;
+		if (selector) {
+			return selector;
+		}
+	}
+
+	return null;
+};
+
+module.exports = {
+	SIDES,
+	globToRegExp,
+	ruleAppliesToUrl,
+	ruleAppliesToSide,
+	ruleApplies,
+	getScopeSelector,
+};
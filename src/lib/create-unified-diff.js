@@ -0,0 +1,244 @@
+const { diffArrays } = require('diff');
+
+const LOCAL_LABEL = 'local';
+const REMOTE_LABEL = 'remote';
+const NO_NEWLINE_MARKER = '\\ No newline at end of file';
+
+/**
+ * Converts an environment name into something we can use as a directory name within
+ * our diffs, e.g. "staging.example.com:8080" to "staging.example.com-8080".
+ * @param {String} label
+ * @returns {String}
+ */
+const toDiffLabel = (label) => String(label).replace(/[^\w.-]+/g, '-');
+
+/**
+ * Checks that a pair of labels can name the two sides of our diffs. They become directory
+ * names, so they can't be the same as each other, or be "." or "..".
+ * @param {Object} [labels]
+ * @param {String} [labels.local]
+ * @param {String} [labels.remote]
+ * @returns {Array<String>} Any problems with the labels
+ */
+const validateLabels = ({ local, remote } = {}) => {
+	let local_label = toDiffLabel(local || LOCAL_LABEL);
+	let remote_label = toDiffLabel(remote || REMOTE_LABEL);
+	let errors = [];
+	for (let label of [local_label, remote_label]) {
+		if (label === '.' || label === '..') {
+			errors.push(`The label "${label}" can't be used as a directory name.`);
+		}
+	}
+	if (local_label === remote_label) {
+		errors.push(
+			`The local and remote labels must be different, but both are "${local_label}".`
+		);
+	}
+
+	return errors;
+};
+
+/**
+ * Splits a string into its lines, noting whether the string ended with a newline.
+ * A `null` string is treated as an empty file (the same as `diff -N`).
+ * @param {String|null} str
+ * @returns {{ lines: Array<String>, missing_newline: Boolean }}
+ */
+const splitLines = (str) => {
+	if (str == null || str === '') {
+		return { lines: [], missing_newline: false };
+	}
+
+	let lines = String(str).split('\n');
+	let missing_newline = true;
+	if (lines[lines.length - 1] === '') {
+		lines.pop();
+		missing_newline = false;
+	}
+
+	return { lines, missing_newline };
+};
+
+/**
+ * Creates the keys our lines get compared on. When ignoring whitespace, we strip
+ * _all_ whitespace, which matches the behavior of `diff -w`. Otherwise the last line
+ * gets a marker when it doesn't end in a newline, so that two files that only differ by
+ * their trailing newline are still seen as different. `diff -w` ignores that newline too.
+ * @param {Array<String>} lines
+ * @param {Boolean} missing_newline
+ * @param {Boolean} ignore_whitespace
+ * @returns {Array<String>}
+ */
+const getComparisonKeys = (lines, missing_newline, ignore_whitespace) => {
+	return lines.map((line, index) => {
+		if (ignore_whitespace) {
+			return line.replace(/\s+/g, '');
+		}
+		return missing_newline && index === lines.length - 1 ? `${line}\0` : line;
+	});
+};
+
+/**
+ * Formats a hunk range the same way GNU diff does, e.g. `3,7`, `3` or `2,0`.
+ */
+const formatRange = (start, count) => {
+	if (count === 1) {
+		return `${start}`;
+	}
+
+	// Empty ranges point to the line _before_ the change
+	return `${count === 0 ? start - 1 : start},${count}`;
+};
+
+/**
+ * Computes a unified diff for a single file.
+ * @param {String} file_path - The path, relative to the build directory, of the file being compared
+ * @param {String|null} local_str
+ * @param {String|null} remote_str
+ * @param {Object} [opt]
+ * @param {Number} [opt.context=3] - Number of lines of unified context
+ * @param {Boolean} [opt.ignore_whitespace=true]
+ * @param {Object} [opt.labels] - The `local` and `remote` directory names used in the file headers
+ * @returns {String} Returns an empty string if the two files are the same
+ */
+const createFilePatch = (
+	file_path,
+	local_str,
+	remote_str,
+	{ context = 3, ignore_whitespace = true, labels = {} } = {}
+) => {
+	let local_label = toDiffLabel(labels.local || LOCAL_LABEL);
+	let remote_label = toDiffLabel(labels.remote || REMOTE_LABEL);
+
+	let local = splitLines(local_str);
+	let remote = splitLines(remote_str);
+
+	let changes = diffArrays(
+		getComparisonKeys(local.lines, local.missing_newline, ignore_whitespace),
+		getComparisonKeys(remote.lines, remote.missing_newline, ignore_whitespace)
+	);
+
+	// Flatten the changes into single line operations
+	let ops = [];
+	let local_index = 0;
+	let remote_index = 0;
+	for (let change of changes) {
+		for (let i = 0; i < change.count; i++) {
+			if (change.removed) {
+				ops.push({ type: '-', local_index: local_index++, remote_index });
+			} else if (change.added) {
+				ops.push({ type: '+', local_index, remote_index: remote_index++ });
+			} else {
+				ops.push({ type: ' ', local_index: local_index++, remote_index: remote_index++ });
+			}
+		}
+	}
+
+	// Group our changed lines into hunks, merging any that have overlapping context
+	let hunks = [];
+	let hunk = null;
+	for (let i = 0; i < ops.length; i++) {
+		if (ops[i].type === ' ') {
+			continue;
+		}
+
+		if (hunk && i - hunk.end <= context * 2) {
+			hunk.end = i + 1;
+		} else {
+			hunk = { start: Math.max(0, i - context), end: i + 1 };
+			hunks.push(hunk);
+		}
+	}
+
+	if (!hunks.length) {
+		return '';
+	}
+
+	let output = [
+		`diff -Nurw ${local_label}/${file_path} ${remote_label}/${file_path}`,
+		`--- ${local_label}/${file_path}`,
+		`+++ ${remote_label}/${file_path}`,
+	];
+
+	for (let { start, end } of hunks) {
+		let hunk_ops = ops.slice(start, Math.min(ops.length, end + context));
+		let local_count = hunk_ops.filter((op) => op.type !== '+').length;
+		let remote_count = hunk_ops.filter((op) => op.type !== '-').length;
+
+		output.push(
+			`@@ -${formatRange(hunk_ops[0].local_index + 1, local_count)} +${formatRange(
+				hunk_ops[0].remote_index + 1,
+				remote_count
+			)} @@`
+		);
+
+		for (let op of hunk_ops) {
+			// GNU diff uses the first file's line when printing context lines
+			let is_local_line = op.type !== '+';
+			let { lines, missing_newline } = is_local_line ? local : remote;
+			let line_index = is_local_line ? op.local_index : op.remote_index;
+
+			output.push(op.type + lines[line_index]);
+
+			if (missing_newline && line_index === lines.length - 1) {
+				output.push(NO_NEWLINE_MARKER);
+			}
+		}
+	}
+
+	return output.join('\n') + '\n';
+};
+
+/**
+ * Computes a unified diff string for a list of files, in the same shape as
+ * `diff -Nurw local remote` would output, so it can be passed to `Diff2html`.
+ * Files that are missing on either side (`null`) are treated as empty.
+ * @param {Array<Object>} files
+ * @param {String} files.0.path - The path, relative to the build directory
+ * @param {String|null} files.0.local - The prepared local HTML
+ * @param {String|null} files.0.remote - The prepared remote HTML
+ * @param {Object} [opt]
+ * @param {Number} [opt.context=3]
+ * @param {Boolean} [opt.ignore_whitespace=true]
+ * @param {Object} [opt.labels] - The `local` and `remote` directory names, defaults to "local" and "remote"
+ * @returns {String}
+ */
+const createUnifiedDiff = (files, opt = {}) => {
+	// Recursive `diff` walks its directories in sorted order, so do the same
+	let sorted_files = [...files].sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+
+	return sorted_files
+		.map((file) =>
+			createFilePatch(file.path.split('\\').join('/'), file.local, file.remote, opt)
+		)
+		.join('');
+};
+
+/**
+ * Splits a unified diff string from `createUnifiedDiff` (or GNU diff) back into each
+ * file's patch, keyed by the file's path.
+ * @param {String} diff
+ * @returns {Map<String, String>}
+ */
+const splitUnifiedDiff = (diff) => {
+	let patches = new Map();
+	for (let patch of diff.split(/^(?=diff -Nurw )/m)) {
+		// Our labels never contain a slash or a space, so the path is everything after them
+		let header = /^diff -Nurw [^/ ]+\/(.*) [^/ ]+\/\1$/m.exec(patch);
+		if (header) {
+			patches.set(header[1], patch);
+		}
+	}
+
+	return patches;
+};
+
+module.exports = {
+	LOCAL_LABEL,
+	REMOTE_LABEL,
+	toDiffLabel,
+	validateLabels,
+	createFilePatch,
+	createUnifiedDiff,
+	splitUnifiedDiff,
+};
@@ -0,0 +1,26 @@
+/**
+ * Decodes a URL's pathname into the segments of a relative file path. Each segment is
+ * decoded on its own, and one that decodes to a slash, or to "." or "..", is left encoded,
+ * so a URL like "/..%2F..%2Fetc" can't point outside of the directories we read or write.
+ * @example decodeUrlPath('/blog/caf%C3%A9/') // ['blog', 'café']
+ * @example decodeUrlPath('/..%2F..%2Fetc') // ['..%2F..%2Fetc']
+ * @param {String} pathname
+ * @returns {Array<String>}
+ */
+const decodeUrlPath = (pathname) =>
+	pathname
+		.split('/')
+		.filter(Boolean)
+		.map((segment) => {
+			let decoded;
+			try {
+				decoded = decodeURIComponent(segment);
+			} catch (e) {
+				return segment;
+			}
+			return /[/\\\0]/.test(decoded) || decoded === '.' || decoded === '..'
+				? segment
+				: decoded;
+		});
+
+module.exports = decodeUrlPath;
@@ -0,0 +1,227 @@
+const { JSDOM } = require('jsdom');
+const decodeUrlPath = require('./decode-url-path');
+const { fetchWithRetry } = require('./fetch-with-retry');
+const mapWithConcurrency = require('./map-with-concurrency');
+
+// Links to these files aren't pages, so there is no point in crawling them
+const NON_PAGE_EXTENSIONS = /\.(?:css|js|json|xml|txt|pdf|zip|gz|jpe?g|png|gif|svg|webp|ico|mp3|mp4|webm|woff2?|ttf|eot)$/i;
+
+/**
+ * Creates a key for a URL so that `/about`, `/about/` and `/about/index.html`
+ * are all considered the same page. Hashes are ignored.
+ * @param {String} url
+ * @returns {String}
+ */
+const getUrlKey = (url) => {
+	let parsed_url = new URL(url);
+	let pathname = parsed_url.pathname.replace(/\/index\.html$/i, '/').replace(/\/+$/, '');
+	return `${parsed_url.origin}${pathname}${parsed_url.search}`;
+};
+
+// Characters we keep as they are when adding a URL's query to its file name
+const SAFE_QUERY_CHARACTERS = /[\w.=&%+,;~-]/;
+
+/**
+ * Creates a file path, as if it existed in our build directory, for a remote URL.
+ *
+ * The path is decoded with `decodeUrlPath`, so it can't point outside of the directories we
+ * write to. URLs that only differ by their query are different pages, so any query is
+ * added to the file name.
+ *
+ * @example getPathFromUrl('https://example.com/blog/') // 'blog/index.html'
+ * @example getPathFromUrl('https://example.com/page.html') // 'page.html'
+ * @example getPathFromUrl('https://example.com/search/?q=shoes') // 'search/index~q=shoes.html'
+ * @param {String} url
+ * @returns {String}
+ */
+const getPathFromUrl = (url) => {
+	let { pathname, search } = new URL(url);
+	let segments = decodeUrlPath(pathname);
+
+	let file_path = segments.join('/');
+	if (!/\.html?$/i.test(file_path)) {
+		file_path = [...segments, 'index.html'].join('/');
+	}
+
+	let query = search
+		.slice(1)
+		.replace(/./g, (char) =>
+			SAFE_QUERY_CHARACTERS.test(char)
+				? char
+				: `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`
+		);
+	if (query) {
+		file_path = file_path.replace(/(\.html?)$/i, `~${query}$1`);
+	}
+
+	return file_path;
+};
+
+/**
+ * Reads all page URLs out of a sitemap. Sitemap indexes are followed recursively.
+ * @param {String} sitemap_url
+ * @param {Object} [fetch_options] - Options passed to `fetchWithRetry`
+ * @param {Set<String>} [seen] - Sitemaps we've already read, so we don't loop forever
+ * @returns {Promise<Array<String>>}
+ */
+const fetchSitemapUrls = async (sitemap_url, fetch_options = {}, seen = new Set()) => {
+	if (seen.has(sitemap_url)) {
+		return [];
+	}
+	seen.add(sitemap_url);
+
+	let response = await fetchWithRetry(sitemap_url, fetch_options);
+	if (!response.ok) {
+		throw new Error(`Unable to read sitemap "${sitemap_url}" (${response.status})`);
+	}
+
+	let xml = await response.text();
+	let { document } = new JSDOM(xml, { contentType: 'text/xml' }).window;
+	const getLocs = (selector) =>
+		[...document.querySelectorAll(selector)].map((loc) => loc.textContent.trim());
+
+	let urls = getLocs('urlset > url > loc');
+	for (let child_sitemap_url of getLocs('sitemapindex > sitemap > loc')) {
+		urls.push(...(await fetchSitemapUrls(child_sitemap_url, fetch_options, seen)));
+	}
+
+	return urls;
+};
+
+/**
+ * Finds all links on a page that point to another page on the same origin.
+ * @param {String} html
+ * @param {String} page_url - The URL of the page, so relative links can be resolved
+ * @returns {Array<String>}
+ */
+const extractSameOriginLinks = (html, page_url) => {
+	let { document } = new JSDOM(html).window;
+	let { origin } = new URL(page_url);
+
+	let base = document.querySelector('base[href]');
+	let base_url = base ? new URL(base.getAttribute('href'), page_url).href : page_url;
+
+	let links = new Set();
+	for (let anchor of document.querySelectorAll('a[href]')) {
+		let link;
+		try {
+			link = new URL(anchor.getAttribute('href'), base_url);
+		} catch (e) {
+			continue;
+		}
+
+		if (link.origin !== origin || NON_PAGE_EXTENSIONS.test(link.pathname)) {
+			continue;
+		}
+
+		link.hash = '';
+		links.add(link.href);
+	}
+
+	return [...links];
+};
+
+/**
+ * Discovers pages that exist remotely but were not found in our build directory.
+ *
+ * Pages are read from the sitemap, and/or crawled by following same-origin links
+ * up to `crawl_depth` links away from the pages we already have.
+ *
+ * @param {Object} opt
+ * @param {String} opt.root_domain
+ * @param {Array<{ url: String, html: String|null }>} opt.pages - The pages we've already fetched
+ * @param {Function<Promise<{ html: String|null, page_status: Object }>>} opt.fetchPage - Called with `(url, path)`
+ * @param {Boolean} [opt.sitemap=false] - When true, read URLs from `${root_domain}/sitemap.xml`
+ * @param {Number} [opt.crawl_depth=0]
+ * @param {Number} [opt.concurrency=8] - The maximum number of pages fetched at the same time
+ * @param {Object} [opt.fetch_options] - Options passed to `fetchWithRetry` when reading the sitemap
+ * @returns {Promise<Array<{ url: String, path: String, html: String|null, page_status: Object }>>}
+ */
+const discoverRemoteUrls = async ({
+	root_domain,
+	pages,
+	fetchPage,
+	sitemap = false,
+	crawl_depth = 0,
+	concurrency = 8,
+	fetch_options = {},
+}) => {
+	let { origin } = new URL(root_domain);
+	let seen_keys = new Set(pages.map(({ url }) => getUrlKey(url)));
+	let discovered_pages = [];
+
+	// Pages whose links we will follow on our next crawl iteration
+	let pages_to_crawl = [...pages];
+
+	const fetchNewUrls = async (urls) => {
+		let new_urls = [];
+		for (let url of urls) {
+			try {
+				if (new URL(url).origin !== origin) {
+					continue;
+				}
+			} catch (e) {
+				continue;
+			}
+
+			let key = getUrlKey(url);
+			if (!seen_keys.has(key)) {
+				seen_keys.add(key);
+				new_urls.push(url);
+			}
+		}
+
+		let new_pages = await mapWithConcurrency(new_urls, concurrency, async (url) => {
+			let path = getPathFromUrl(url);
+			let result = await fetchPage(url, path);
+			return Object.assign({ url, path }, result);
+		});
+
+		// Skip any pages that redirected to one we already know about
+		new_pages = new_pages.filter(({ page_status }) => {
+			if (!page_status.redirectedTo) {
+				return true;
+			}
+
+			let key = getUrlKey(page_status.redirectedTo);
+			if (seen_keys.has(key)) {
+				return false;
+			}
+			seen_keys.add(key);
+			return true;
+		});
+
+		discovered_pages.push(...new_pages);
+		return new_pages;
+	};
+
+	if (sitemap) {
+		let sitemap_urls = await fetchSitemapUrls(`${root_domain}/sitemap.xml`, fetch_options);
+		pages_to_crawl.push(...(await fetchNewUrls(sitemap_urls)));
+	}
+
+	for (let depth = 0; depth < crawl_depth && pages_to_crawl.length; depth++) {
+		let links = [];
+		for (let { url, html, page_status } of pages_to_crawl) {
+			if (html != null) {
+				links.push(
+					...extractSameOriginLinks(
+						html,
+						(page_status && page_status.redirectedTo) || url
+					)
+				);
+			}
+		}
+		pages_to_crawl = await fetchNewUrls(links);
+	}
+
+	return discovered_pages;
+};
+
+module.exports = {
+	getUrlKey,
+	getPathFromUrl,
+	fetchSitemapUrls,
+	extractSameOriginLinks,
+	discoverRemoteUrls,
+};
@@ -0,0 +1,17 @@
+const HTML_ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#39;',
+};
+
+/**
+ * Escapes a string so it can be safely placed within HTML text or a quoted attribute.
+ * @param {Any} str
+ * @returns {String}
+ */
+const escapeHtml = (str) =>
+	String(str == null ? '' : str).replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+module.exports = escapeHtml;
@@ -0,0 +1,147 @@
+// Elements whose contents are never visible on the page
+const SKIPPED_TAGS = new Set([
+	'SCRIPT',
+	'STYLE',
+	'NOSCRIPT',
+	'TEMPLATE',
+	'IFRAME',
+	'OBJECT',
+	'SVG',
+	'CANVAS',
+	'HEAD',
+]);
+
+// Elements that start a new line of text, both before and after their contents
+const BLOCK_TAGS = new Set([
+	'ADDRESS',
+	'ARTICLE',
+	'ASIDE',
+	'BLOCKQUOTE',
+	'BODY',
+	'CAPTION',
+	'DD',
+	'DETAILS',
+	'DIALOG',
+	'DIV',
+	'DL',
+	'DT',
+	'FIELDSET',
+	'FIGCAPTION',
+	'FIGURE',
+	'FOOTER',
+	'FORM',
+	'H1',
+	'H2',
+	'H3',
+	'H4',
+	'H5',
+	'H6',
+	'HEADER',
+	'HR',
+	'LEGEND',
+	'LI',
+	'MAIN',
+	'NAV',
+	'OL',
+	'OPTION',
+	'P',
+	'PRE',
+	'SECTION',
+	'SUMMARY',
+	'TABLE',
+	'TD',
+	'TH',
+	'TR',
+	'UL',
+]);
+
+const ELEMENT_NODE = 1;
+const TEXT_NODE = 3;
+
+/**
+ * @param {Element} element
+ * @returns {Boolean}
+ */
+const isHidden = (element) => {
+	if (element.hasAttribute('hidden')) {
+		return true;
+	}
+
+	let { style } = element;
+	return Boolean(style) && (style.display === 'none' || style.visibility === 'hidden');
+};
+
+/**
+ * Reduces a document to the text a visitor would read. `script`, `style` and hidden
+ * elements are skipped, each block-level element starts a new line, and all whitespace
+ * is collapsed. Entities are already decoded by the DOM.
+ * @param {Document} document
+ * @param {Object} [opt]
+ * @param {Boolean} [opt.include_alt_text=false] - Include `alt` and `title` attributes, e.g. `[alt: Our logo]`
+ * @returns {Array<String>} The lines of text, with empty lines removed
+ */
+const extractVisibleText = (document, { include_alt_text = false } = {}) => {
+	let lines = [];
+	let current_line = '';
+
+	const flush = () => {
+		let line = current_line.replace(/\s+/g, ' ').trim();
+		if (line) {
+			lines.push(line);
+		}
+		current_line = '';
+	};
+
+	const walk = (node) => {
+		if (node.nodeType === TEXT_NODE) {
+			current_line += node.nodeValue;
+			return;
+		}
+		if (node.nodeType !== ELEMENT_NODE) {
+			return;
+		}
+
+		let tag_name = node.tagName.toUpperCase();
+		if (SKIPPED_TAGS.has(tag_name) || isHidden(node)) {
+			return;
+		}
+
+		if (tag_name === 'BR') {
+			flush();
+			return;
+		}
+
+		let is_block = BLOCK_TAGS.has(tag_name);
+		if (is_block) {
+			flush();
+		}
+
+		if (include_alt_text) {
+			let alt = node.getAttribute('alt');
+			if (alt && alt.trim()) {
+				current_line += ` [alt: ${alt}] `;
+			}
+			let title = node.getAttribute('title');
+			if (title && title.trim()) {
+				current_line += ` [title: ${title}] `;
+			}
+		}
+
+		for (let child of node.childNodes) {
+			walk(child);
+		}
+
+		if (is_block) {
+			flush();
+		}
+	};
+
+	if (document.body) {
+		walk(document.body);
+	}
+	flush();
+
+	return lines;
+};
+
+module.exports = extractVisibleText;
@@ -0,0 +1,178 @@
+const fetch = require('node-fetch');
+const { Response } = fetch;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// The longest `Retry-After` we're willing to wait for. Anything longer is treated as a failure
+const MAX_RETRY_AFTER = 60 * 1000;
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+// The same limit `node-fetch` uses
+const MAX_REDIRECTS = 20;
+
+/**
+ * Fetches a URL, following any redirects ourselves rather than letting `fetch` do it. That way
+ * each hop is requested with its own options, so the headers meant for one origin aren't sent
+ * on to wherever it redirects. Like `fetch`, the response notes whether it was redirected.
+ * @param {String} url
+ * @param {Function} getOptions - Returns the options to pass to `fetch` for a URL
+ * @param {Function} doFetch
+ * @returns {Promise<Response>}
+ */
+const fetchFollowingRedirects = async (url, getOptions, doFetch) => {
+	// Callers that handle redirects themselves get the redirect response as is
+	let options = getOptions(url);
+	if (options.redirect === 'manual') {
+		return doFetch(url, options);
+	}
+
+	let current_url = url;
+	for (let redirects = 0; ; redirects++) {
+		let response = await doFetch(
+			current_url,
+			Object.assign({}, redirects ? getOptions(current_url) : options, {
+				redirect: 'manual',
+			})
+		);
+
+		let location = response.headers.get('location');
+		if (!REDIRECT_STATUS_CODES.includes(response.status) || !location) {
+			return redirects === 0
+				? response
+				: new Response(response.body, {
+						url: current_url,
+						status: response.status,
+						statusText: response.statusText,
+						headers: response.headers,
+
+						// `node-fetch` uses its redirect counter for `response.redirected`
+						counter: redirects,
+				  });
+		}
+
+		// Drain the body we're throwing away so its socket can be reused
+		response.text().catch(() => {});
+
+		if (redirects >= MAX_REDIRECTS) {
+			throw new Error(`Maximum redirects reached at: ${current_url}`);
+		}
+		current_url = new URL(location, current_url).href;
+	}
+};
+
+/**
+ * Returns whether a response should be retried (server errors and rate limiting).
+ * @param {Response} res
+ * @returns {Boolean}
+ */
+const isRetryableResponse = (res) => res.status === 429 || res.status >= 500;
+
+/**
+ * Parses a `Retry-After` header, which is either a number of seconds or an HTTP date.
+ * @param {String|null} header_value
+ * @returns {Number|null} The number of milliseconds to wait, or `null` if the header isn't usable.
+ */
+const parseRetryAfter = (header_value) => {
+	if (!header_value) {
+		return null;
+	}
+
+	header_value = String(header_value).trim();
+	if (/^\d+$/.test(header_value)) {
+		return parseInt(header_value, 10) * 1000;
+	}
+
+	let date = Date.parse(header_value);
+	if (Number.isNaN(date)) {
+		return null;
+	}
+
+	return Math.max(0, date - Date.now());
+};
+
+/**
+ * Fetches a URL, retrying with exponential backoff on network errors (including timeouts)
+ * and on 5xx / 429 responses. When the server sends a `Retry-After` header, that delay is
+ * used instead of our backoff, unless it is longer than `max_retry_after`. Then we stop
+ * retrying, rather than stalling the whole run.
+ *
+ * If we run out of retries on a bad response, that last response is resolved. If we run
+ * out of retries on a network error, that last error is rejected.
+ *
+ * @param {String} url
+ * @param {Object} [opt]
+ * @param {Number} [opt.retries=2] - Number of retries after the first attempt
+ * @param {Number} [opt.timeout=30000] - Per-request timeout in milliseconds. 0 disables the timeout.
+ * @param {Number} [opt.backoff=500] - Delay, in milliseconds, before the first retry. Doubles after each retry.
+ * @param {Number} [opt.max_retry_after=60000] - The longest `Retry-After`, in milliseconds, we'll wait for
+ * @param {Object|Function} [opt.fetch_options] - Any additional options passed to `fetch`, or a function that returns them for a URL (including each URL we're redirected to)
+ * @param {Function} [opt.onRetry] - Called with `({ url, attempt, delay, error, response })` before each retry
+ * @param {Function} [opt.fetch] - The `fetch` to use, e.g. one from `createCachedFetch`. Defaults to `node-fetch`.
+ * @returns {Promise<Response>}
+ */
+const fetchWithRetry = async (
+	url,
+	{
+		retries = 2,
+		timeout = 30000,
+		backoff = 500,
+		max_retry_after = MAX_RETRY_AFTER,
+		fetch_options = {},
+		onRetry,
+		fetch: doFetch = fetch,
+	} = {}
+) => {
+	const getOptions = (request_url) =>
+		Object.assign(
+			{},
+			typeof fetch_options === 'function' ? fetch_options(request_url) : fetch_options,
+			{ timeout }
+		);
+
+	for (let attempt = 0; ; attempt++) {
+		let response;
+		let error;
+		try {
+			response = await fetchFollowingRedirects(url, getOptions, doFetch);
+		} catch (e) {
+			error = e;
+		}
+
+		let should_retry = error ? true : isRetryableResponse(response);
+		let delay = backoff * Math.pow(2, attempt);
+		if (should_retry && response) {
+			let retry_after = parseRetryAfter(response.headers.get('retry-after'));
+			if (retry_after > max_retry_after) {
+				should_retry = false;
+			} else if (retry_after != null) {
+				delay = retry_after;
+			}
+		}
+
+		if (!should_retry || attempt >= retries) {
+			if (error) {
+				throw error;
+			}
+			return response;
+		}
+
+		if (response) {
+			// Drain the body we're throwing away so its socket can be reused
+			response.text().catch(() => {});
+		}
+
+		if (typeof onRetry === 'function') {
+			onRetry({ url, attempt: attempt + 1, delay, error, response });
+		}
+
+		await sleep(delay);
+	}
+};
+
+module.exports = {
+	MAX_RETRY_AFTER,
+	fetchWithRetry,
+	parseRetryAfter,
+	isRetryableResponse,
+};
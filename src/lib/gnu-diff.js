@@ -0,0 +1,95 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { spawn } = require('child-process-promise');
+const hasBin = require('./has-bin');
+const resolveWithin = require('./resolve-within');
+const { LOCAL_LABEL, REMOTE_LABEL, toDiffLabel, validateLabels } = require('./create-unified-diff');
+
+const CACHE_DIRECTORY = '.ddp-cache';
+const DIFF_EXECUTABLE = 'diff';
+
+/**
+ * Computes a unified diff string by writing our files to a temporary directory and
+ * running GNU `diff` against them. This is the opt-in alternative to `createUnifiedDiff`.
+ * @param {Array<Object>} files
+ * @param {String} files.0.path - The path, relative to the build directory
+ * @param {String|null} files.0.local - The prepared local HTML
+ * @param {String|null} files.0.remote - The prepared remote HTML
+ * @param {Object} [opt]
+ * @param {Object} [opt.labels] - The `local` and `remote` directory names, defaults to "local" and "remote"
+ * @returns {Promise<String>}
+ */
+const createUnifiedDiffWithGnuDiff = async (files, { labels = {} } = {}) => {
+	if (!hasBin(DIFF_EXECUTABLE)) {
+		throw new Error(
+			`The "gnu" diff engine requires "${DIFF_EXECUTABLE}" be installed and available in your path.`
+		);
+	}
+
+	// Each label is a directory we write to, so they must stay within our own
+	let label_errors = validateLabels(labels);
+	if (label_errors.length) {
+		throw new Error(label_errors.join(' '));
+	}
+	let local_label = toDiffLabel(labels.local || LOCAL_LABEL);
+	let remote_label = toDiffLabel(labels.remote || REMOTE_LABEL);
+
+	await fs.ensureDir(CACHE_DIRECTORY);
+	await fs.emptyDir(CACHE_DIRECTORY);
+
+	try {
+		for (let { path: file_path, local, remote } of files) {
+			// `diff -N` treats absent files as empty, so only write the files we have
+			if (local != null) {
+				let local_file_path = resolveWithin(
+					path.join(CACHE_DIRECTORY, local_label),
+					file_path
+				);
+				await fs.ensureDir(path.dirname(local_file_path));
+				await fs.writeFile(local_file_path, local);
+			}
+			if (remote != null) {
+				let remote_file_path = resolveWithin(
+					path.join(CACHE_DIRECTORY, remote_label),
+					file_path
+				);
+				await fs.ensureDir(path.dirname(remote_file_path));
+				await fs.writeFile(remote_file_path, remote);
+			}
+		}
+
+		// `diff -r` errors if either directory is missing entirely
+		await fs.ensureDir(path.join(CACHE_DIRECTORY, local_label));
+		await fs.ensureDir(path.join(CACHE_DIRECTORY, remote_label));
+
+		/**
+		 * `diff` flags:
+		 * -N  treat absent files as empty
+		 * -u  output 3 lines of unified context
+		 * -r  recursively compare any subdirectories found
+		 * -w  ignore all white space
+		 */
+		return await spawn(DIFF_EXECUTABLE, ['-Nurw', local_label, remote_label], {
+			cwd: CACHE_DIRECTORY,
+			capture: ['stdout', 'stderr'],
+		})
+			.then((output) => output.stdout)
+			.catch((e) => {
+				if (e.code === 1) {
+					// `diff` exits with 1 when it finds differences, so we need to catch these
+					return e.stdout;
+				}
+
+				throw new Error(
+					`Error in running "${DIFF_EXECUTABLE}" against our two directories: ${e}`
+				);
+			});
+	} finally {
+		await fs.remove(CACHE_DIRECTORY);
+	}
+};
+
+module.exports = {
+	DIFF_EXECUTABLE,
+	createUnifiedDiffWithGnuDiff,
+};
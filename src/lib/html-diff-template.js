@@ -1,10 +1,249 @@
+const escapeHtml = require('./escape-html');
+const { ASSET_STATES, ASSET_STATE_LABELS } = require('./assets');
+const { LINK_STATE_LABELS } = require('./audit-links');
+const createIgnoreRulesSection = require('./html-report-ignore-rules');
+const { PAGE_STATES, PAGE_STATE_LABELS } = require('./page-status');
+
+/**
+ * Renders a table of every compared URL and how it responded.
+ * Pages that didn't load cleanly are listed first.
+ * @param {Array<Object>} page_statuses
+ * @returns {String}
+ */
+const createPageStatusesSection = (page_statuses) => {
+	if (!page_statuses || !page_statuses.length) {
+		return '';
+	}
+
+	let state_order = [
+		PAGE_STATES.MISSING_IN_PRODUCTION,
+		PAGE_STATES.ONLY_IN_PRODUCTION,
+		PAGE_STATES.FETCH_FAILED,
+		PAGE_STATES.REDIRECTED,
+		PAGE_STATES.OK,
+	];
+	let sorted_statuses = [...page_statuses].sort(
+		(a, b) => state_order.indexOf(a.state) - state_order.indexOf(b.state)
+	);
+
+	let summary = state_order
+		.map((state) => [state, page_statuses.filter((p) => p.state === state).length])
+		.filter(([state, count]) => count > 0)
+		.map(([state, count]) => `${count} ${PAGE_STATE_LABELS[state].toLowerCase()}`)
+		.join(', ');
+
+	let rows = sorted_statuses
+		.map(({ url, status, state, redirectedTo, error, baseUrl, baseStatus }) => {
+			let notes = [];
+			if (baseUrl) {
+				notes.push(
+					`Compared with <a href="${escapeHtml(baseUrl)}">${escapeHtml(baseUrl)}</a> (${
+						baseStatus || '&mdash;'
+					})`
+				);
+			}
+			if (redirectedTo) {
+				notes.push(
+					`Redirected to <a href="${escapeHtml(redirectedTo)}">${escapeHtml(
+						redirectedTo
+					)}</a>`
+				);
+			}
+			if (error) {
+				notes.push(escapeHtml(error));
+			}
+			return /* html */ `
+				<tr class="page-status page-status--${state}">
+					<td>${status || '&mdash;'}</td>
+					<td>${PAGE_STATE_LABELS[state]}</td>
+					<td><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></td>
+					<td>${notes.join('<br>')}</td>
+				</tr>`;
+		})
+		.join('');
+
+	return /* html */ `
+		<details class="page-statuses"${sorted_statuses[0].state !== PAGE_STATES.OK ? ' open' : ''}>
+			<summary>Page statuses: ${summary}</summary>
+			<table>
+				<thead>
+					<tr>
+						<th>Status</th>
+						<th>State</th>
+						<th>URL</th>
+						<th>Notes</th>
+					</tr>
+				</thead>
+				<tbody>${rows}
+				</tbody>
+			</table>
+		</details>`;
+};
+
+/**
+ * Renders a table of the stylesheets and scripts our pages link to, including those
+ * only referenced on one side. Assets that couldn't be compared are listed first.
+ * @param {Array<Object>} [asset_statuses]
+ * @returns {String}
+ */
+const createAssetStatusesSection = (asset_statuses) => {
+	if (!asset_statuses || !asset_statuses.length) {
+		return '';
+	}
+
+	let state_order = [
+		ASSET_STATES.LOCAL_ONLY,
+		ASSET_STATES.REMOTE_ONLY,
+		ASSET_STATES.FETCH_FAILED,
+		ASSET_STATES.OK,
+	];
+	let sorted_statuses = [...asset_statuses].sort(
+		(a, b) => state_order.indexOf(a.state) - state_order.indexOf(b.state)
+	);
+
+	let summary = state_order
+		.map((state) => [state, asset_statuses.filter((a) => a.state === state).length])
+		.filter(([state, count]) => count > 0)
+		.map(([state, count]) => `${count} ${ASSET_STATE_LABELS[state].toLowerCase()}`)
+		.join(', ');
+
+	const formatUrl = (url) =>
+		url ? `<a href="${escapeHtml(url)}">${escapeHtml(url)}</a>` : '&mdash;';
+
+	let rows = sorted_statuses
+		.map(({ path, type, state, localUrl, remoteUrl, error, pages }) => {
+			let notes = [`Linked from ${pages.map(escapeHtml).join(', ')}`];
+			if (error) {
+				notes.push(escapeHtml(error));
+			}
+			return /* html */ `
+				<tr class="asset-status asset-status--${state}">
+					<td>${type.toUpperCase()}</td>
+					<td>${ASSET_STATE_LABELS[state]}</td>
+					<td>${escapeHtml(path)}</td>
+					<td>${formatUrl(localUrl)}</td>
+					<td>${formatUrl(remoteUrl)}</td>
+					<td>${notes.join('<br>')}</td>
+				</tr>`;
+		})
+		.join('');
+
+	return /* html */ `
+		<details class="page-statuses"${sorted_statuses[0].state !== ASSET_STATES.OK ? ' open' : ''}>
+			<summary>Linked assets: ${summary}</summary>
+			<table>
+				<thead>
+					<tr>
+						<th>Type</th>
+						<th>State</th>
+						<th>Path</th>
+						<th>Local URL</th>
+						<th>Remote URL</th>
+						<th>Notes</th>
+					</tr>
+				</thead>
+				<tbody>${rows}
+				</tbody>
+			</table>
+		</details>`;
+};
+
+/**
+ * Renders the broken and redirected links found on each remote page.
+ * @param {Object} [link_audit] - From `auditLinks`
+ * @returns {String}
+ */
+const createLinkAuditSection = (link_audit) => {
+	if (!link_audit) {
+		return '';
+	}
+
+	let { pages, summary } = link_audit;
+	let summary_text = `Link audit: ${summary.links} links checked on ${summary.pages} pages, ${summary.broken} broken, ${summary.redirected} redirected`;
+	let rows = pages
+		.map(({ url: page_url, links }) =>
+			links
+				.map(({ url, status, state, redirects, finalUrl, error, inBuild }) => {
+					let chain = redirects
+						.map((redirect) => `${escapeHtml(redirect.url)} (${redirect.status})`)
+						.concat(escapeHtml(finalUrl))
+						.join(' &rarr; ');
+					let notes = [];
+					if (error) {
+						notes.push(escapeHtml(error));
+					}
+					if (inBuild != null) {
+						notes.push(
+							inBuild
+								? 'Resolves in the build directory'
+								: 'Not in the build directory'
+						);
+					}
+					return /* html */ `
+				<tr class="link-status link-status--${state}">
+					<td><a href="${escapeHtml(page_url)}">${escapeHtml(page_url)}</a></td>
+					<td>${status || '&mdash;'}</td>
+					<td>${LINK_STATE_LABELS[state]}</td>
+					<td><a href="${escapeHtml(url)}">${chain}</a></td>
+					<td>${notes.join('<br>')}</td>
+				</tr>`;
+				})
+				.join('')
+		)
+		.join('');
+
+	if (!rows) {
+		return /* html */ `
+		<p class="page-statuses">${summary_text}</p>`;
+	}
+
+	return /* html */ `
+		<details class="page-statuses"${summary.broken ? ' open' : ''}>
+			<summary>${summary_text}</summary>
+			<table>
+				<thead>
+					<tr>
+						<th>Page</th>
+						<th>Status</th>
+						<th>State</th>
+						<th>Link</th>
+						<th>Notes</th>
+					</tr>
+				</thead>
+				<tbody>${rows}
+				</tbody>
+			</table>
+		</details>`;
+};
+
 /**
  * @param {String} opt.diff
  * @param {String} opt.title
  * @param {Date} opt.date
+ * @param {Array<Object>} [opt.page_statuses]
+ * @param {Array<Object>} [opt.asset_statuses] - When linked assets were compared
+ * @param {Object} [opt.link_audit] - When links were audited
+ * @param {Object} [opt.labels] - Names for the `local` and `remote` sides, e.g. when comparing two environments
+ * @param {Boolean} [opt.ignore_rules=false] - Let us click changed lines to build clean config rules that ignore them
+ * @param {Object} [opt.clean_config] - The clean config the report was created with, which those rules are added to
  * @returns {String}
  */
-const createHtmlDiff = ({ diff, title = '', date = new Date() } = {}) => {
+const createHtmlDiff = ({
+	diff,
+	title = '',
+	date = new Date(),
+	page_statuses = [],
+	asset_statuses,
+	link_audit,
+	labels = {},
+	ignore_rules = false,
+	clean_config,
+} = {}) => {
+	let { local: local_label = 'Local', remote: remote_label = 'Remote' } = labels;
+	let ignore_rules_section = ignore_rules
+		? createIgnoreRulesSection({ clean_config, page_statuses })
+		: { styles: '', markup: '' };
+
 	return /* html */ `<!DOCTYPE html>
 	<html lang="en">
 	<head>
@@ -91,6 +330,40 @@ const createHtmlDiff = ({ diff, title = '', date = new Date() } = {}) => {
 				margin-bottom: 2rem;
 			}
 
+			/* Page statuses */
+			.page-statuses {
+				margin-bottom: 2rem;
+			}
+			.page-statuses summary {
+				cursor: pointer;
+				font-weight: bold;
+			}
+			.page-statuses table {
+				border-collapse: collapse;
+				margin-top: 1em;
+			}
+			.page-statuses th,
+			.page-statuses td {
+				border: 1px solid #ddd;
+				padding: 0.25em 0.5em;
+				text-align: left;
+			}
+			.page-status--missing-in-production,
+			.page-status--fetch-failed,
+			.asset-status--local-only,
+			.asset-status--fetch-failed,
+			.link-status--broken {
+				background: #fee8e9;
+			}
+			.page-status--only-in-production,
+			.asset-status--remote-only {
+				background: #e6ffed;
+			}
+			.page-status--redirected,
+			.link-status--redirected {
+				background: #fff8dc;
+			}
+			${ignore_rules_section.styles}
 		</style>
 	</head>
 	<body>
@@ -98,12 +371,15 @@ const createHtmlDiff = ({ diff, title = '', date = new Date() } = {}) => {
 		<div class="diff-explanation">
 			<p>The diff colors represent:</p>
 			<ul>
-				<li class="local">Local is <b>RED</b> (-)</li>
-				<li class="remote">Remote is <b>GREEN</b> (+)</li>
+				<li class="local">${escapeHtml(local_label)} is <b>RED</b> (-)</li>
+				<li class="remote">${escapeHtml(remote_label)} is <b>GREEN</b> (+)</li>
 			</ul>
 		</div>
 
 		<p class="diff-date">Created: <strong>${date.toLocaleDateString()}, ${date.toLocaleTimeString()}</strong></p>
+		${createPageStatusesSection(page_statuses)}
+		${createAssetStatusesSection(asset_statuses)}
+		${createLinkAuditSection(link_audit)}
 
 		<div class="toggle-word-wrap__wrapper">
 			<button class="toggle-word-wrap__button">Toggle Word Wrap</button>
@@ -158,6 +434,7 @@ const createHtmlDiff = ({ diff, title = '', date = new Date() } = {}) => {
 			});
 		})();
 		</script>
+		${ignore_rules_section.markup}
 	</body>
 	</html>`;
 };
@@ -0,0 +1,493 @@
+/**
+ * Serializes a value for a `<script type="application/json">` block, so it can never close
+ * the block early.
+ * @param {*} value
+ * @returns {String}
+ */
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const IGNORE_RULES_STYLES = /* css */ `
+	/* Ignore rules */
+	#diff td.d2h-del,
+	#diff td.d2h-ins,
+	#diff td.d2h-info {
+		cursor: pointer;
+	}
+	#diff tr.ignore-rules__selected td {
+		outline: 2px solid #0366d6;
+		outline-offset: -2px;
+	}
+	.ignore-rules {
+		background: #fff;
+		border: 1px solid #ddd;
+		bottom: 1rem;
+		box-shadow: 0 2px 8px rgba(0, 0, 0, 0.15);
+		font-size: 14px;
+		max-height: 60vh;
+		overflow: auto;
+		padding: 0.75em 1em;
+		position: fixed;
+		right: 1rem;
+		width: 30rem;
+		z-index: 10;
+	}
+	.ignore-rules summary {
+		cursor: pointer;
+		font-weight: bold;
+	}
+	.ignore-rules__hint {
+		color: #666;
+	}
+	.ignore-rules__options label {
+		margin-right: 1em;
+	}
+	.ignore-rules ul {
+		list-style: none;
+		margin: 0.5em 0;
+		padding: 0;
+	}
+	.ignore-rules li {
+		align-items: flex-start;
+		display: flex;
+		gap: 0.5em;
+		margin-bottom: 0.5em;
+	}
+	.ignore-rules li span,
+	.ignore-rules li code {
+		flex: 1;
+		word-break: break-all;
+	}
+	.ignore-rules li button {
+		flex: none;
+	}
+`;
+
+// Runs in the browser, so it sticks to the same ES5 as the rest of the report's script
+const IGNORE_RULES_SCRIPT = String.raw`
+	(function(){
+		var VOID_TAGS = ['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'];
+		var OPENING_TAG_REGEX = /^<([a-zA-Z][\w:-]*)((?:\s+[^\s"'>\/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/;
+		var ATTRIBUTE_REGEX = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+		var STORAGE_KEY = 'ddp-ignore-rules:' + document.title;
+
+		var existing_config = JSON.parse(document.getElementById('ddp-clean-config').textContent) || {};
+		var pages = JSON.parse(document.getElementById('ddp-pages').textContent);
+
+		var panel = document.querySelector('.ignore-rules');
+		var proposals_list = panel.querySelector('.ignore-rules__proposals');
+		var rules_list = panel.querySelector('.ignore-rules__rules');
+		var count = panel.querySelector('.ignore-rules__count');
+		var side_select = panel.querySelector('.ignore-rules__side');
+		var page_only_checkbox = panel.querySelector('.ignore-rules__page-only');
+		var download_button = panel.querySelector('.ignore-rules__download');
+		var clear_button = panel.querySelector('.ignore-rules__clear');
+
+		// Rules are kept for the session, so they survive the report reloading in watch mode
+		var rules = [];
+		try {
+			rules = JSON.parse(sessionStorage.getItem(STORAGE_KEY)) || [];
+		} catch (e) {}
+
+		var selected_row = null;
+		var selected_page = null;
+
+		function decodeEntities(str) {
+			var textarea = document.createElement('textarea');
+			textarea.innerHTML = str;
+			return textarea.value;
+		}
+
+		function escapeRegExp(str) {
+			return str.replace(/[.*+?^$\{}()|[\]\\]/g, '\\$&');
+		}
+
+		function cssEscape(str) {
+			return window.CSS && CSS.escape ? CSS.escape(str) : str.replace(/[^\w-]/g, '\\$&');
+		}
+
+		/**
+		 * Parses the opening tag a line of our prepared HTML starts with, if any.
+		 */
+		function parseOpeningTag(line) {
+			var match = OPENING_TAG_REGEX.exec(line);
+			if (!match) {
+				return null;
+			}
+
+			var attributes = [];
+			var attribute_match;
+			ATTRIBUTE_REGEX.lastIndex = 0;
+			while ((attribute_match = ATTRIBUTE_REGEX.exec(match[2]))) {
+				var value = attribute_match[2] != null ? attribute_match[2] : attribute_match[3] != null ? attribute_match[3] : attribute_match[4] || '';
+				attributes.push({ name: attribute_match[1].toLowerCase(), value: decodeEntities(value) });
+			}
+
+			var tag = match[1].toLowerCase();
+			var content = line.slice(match[0].length);
+			var closing_tag = '</' + tag + '>';
+			var is_closed = VOID_TAGS.indexOf(tag) !== -1 || /\/>$/.test(match[0]) || content.slice(-closing_tag.length).toLowerCase() === closing_tag;
+			if (content.slice(-closing_tag.length).toLowerCase() === closing_tag) {
+				content = content.slice(0, -closing_tag.length);
+			}
+
+			return { tag: tag, attributes: attributes, content: content.trim(), is_closed: is_closed };
+		}
+
+		/**
+		 * The most specific selector we can build from a single tag: its id, its classes,
+		 * or its first attribute.
+		 */
+		function getSelector(element) {
+			var id = null;
+			var classes = null;
+			element.attributes.forEach(function(attribute) {
+				if (attribute.name === 'id' && attribute.value) {
+					id = attribute.value;
+				} else if (attribute.name === 'class' && attribute.value.trim()) {
+					classes = attribute.value.trim().split(/\s+/);
+				}
+			});
+
+			if (id) {
+				return element.tag + '#' + cssEscape(id);
+			}
+			if (classes) {
+				return element.tag + classes.map(function(class_name) {
+					return '.' + cssEscape(class_name);
+				}).join('');
+			}
+			var first = element.attributes[0];
+			if (first) {
+				return element.tag + '[' + cssEscape(first.name) + (first.value ? '="' + first.value.replace(/["\\]/g, '\\$&') + '"' : '') + ']';
+			}
+			return element.tag;
+		}
+
+		function getLine(row) {
+			var line = row.querySelector('.d2h-code-line-ctn');
+			return line ? line.textContent.trim() : '';
+		}
+
+		function getRowType(row) {
+			var cell = row.querySelector('td:not(.d2h-code-linenumber)');
+			if (!cell) {
+				return null;
+			}
+			if (cell.classList.contains('d2h-info')) {
+				return 'info';
+			}
+			if (cell.classList.contains('d2h-del')) {
+				return 'del';
+			}
+			if (cell.classList.contains('d2h-ins')) {
+				return 'ins';
+			}
+			return 'cntx';
+		}
+
+		/**
+		 * Walks back through a hunk to the element a line sits within, using only the
+		 * lines from the same side of the diff.
+		 */
+		function getParentElement(row, type) {
+			var depth = 0;
+			for (var previous = row.previousElementSibling; previous; previous = previous.previousElementSibling) {
+				var previous_type = getRowType(previous);
+				if (previous_type === 'info') {
+					return null;
+				}
+				if ((type === 'del' && previous_type === 'ins') || (type === 'ins' && previous_type === 'del')) {
+					continue;
+				}
+
+				var line = getLine(previous);
+				if (/^<\//.test(line)) {
+					depth++;
+					continue;
+				}
+				var element = parseOpeningTag(line);
+				if (!element || element.is_closed) {
+					continue;
+				}
+				if (depth === 0) {
+					return element;
+				}
+				depth--;
+			}
+			return null;
+		}
+
+		function getPage(row) {
+			var wrapper = row.closest('.d2h-file-wrapper');
+			var file_name = wrapper && wrapper.querySelector('.d2h-file-name');
+			if (!file_name) {
+				return null;
+			}
+			// The longest match wins, so "index.html" doesn't claim "about/index.html"
+			var name = file_name.textContent.trim();
+			var page = null;
+			pages.forEach(function(candidate) {
+				var matches = name === candidate.path || name.slice(-candidate.path.length - 1) === '/' + candidate.path;
+				if (matches && (!page || candidate.path.length > page.path.length)) {
+					page = candidate;
+				}
+			});
+			return page;
+		}
+
+		function describeText(text) {
+			return text.length > 40 ? text.slice(0, 40) + '…' : text;
+		}
+
+		function getTextProposals(selector, text) {
+			var proposals = [
+				{ label: 'Empty ' + selector + ' containing "' + describeText(text) + '"', key: 'elements', rule: { selector: selector, contains: text, empty: true } },
+			];
+			if (/\d/.test(text)) {
+				var regex = escapeRegExp(text).replace(/\d+/g, '\\d+');
+				proposals.push({ label: 'Empty ' + selector + ' matching ' + regex, key: 'elements', rule: { selector: selector, containsRegex: regex, empty: true } });
+			}
+			proposals.push({ label: 'Remove ' + selector + ' containing "' + describeText(text) + '"', key: 'elements', rule: { selector: selector, contains: text, remove: true } });
+			return proposals;
+		}
+
+		function getProposals(row, type) {
+			var line = getLine(row);
+			if (!line || /^<\//.test(line) || /^<!/.test(line)) {
+				return [];
+			}
+
+			var element = parseOpeningTag(line);
+			if (!element) {
+				var parent = getParentElement(row, type);
+				return parent ? getTextProposals(getSelector(parent), line) : [];
+			}
+
+			var selector = getSelector(element);
+			var proposals = [
+				{ label: 'Remove ' + selector, key: 'elements', rule: { selector: selector, remove: true } },
+				{ label: 'Empty ' + selector, key: 'elements', rule: { selector: selector, empty: true } },
+			];
+			if (!element.is_closed) {
+				proposals.splice(1, 0, { label: 'Unwrap ' + selector + ', keeping its contents', key: 'elements', rule: { selector: selector, unwrap: true } });
+			}
+			if (element.content && !/</.test(element.content)) {
+				proposals = getTextProposals(selector, element.content).concat(proposals);
+			}
+			element.attributes.forEach(function(attribute) {
+				proposals.push(
+					{ label: 'Remove the "' + attribute.name + '" attribute from ' + selector, key: 'attributes', rule: { attribute: attribute.name, selector: selector, remove: true } },
+					{ label: 'Empty the "' + attribute.name + '" attribute on ' + selector, key: 'attributes', rule: { attribute: attribute.name, selector: selector, remove: false, empty: true } },
+					{ label: 'Remove the "' + attribute.name + '" attribute everywhere', key: 'attributes', rule: { attribute: attribute.name, remove: true } }
+				);
+			});
+			return proposals;
+		}
+
+		/**
+		 * A hunk proposes rules for its first changed line we can build a rule from.
+		 */
+		function getHunkProposals(row) {
+			for (var next = row.nextElementSibling; next; next = next.nextElementSibling) {
+				var type = getRowType(next);
+				if (type === 'info') {
+					break;
+				}
+				if (type === 'del' || type === 'ins') {
+					var proposals = getProposals(next, type);
+					if (proposals.length) {
+						return { row: next, proposals: proposals };
+					}
+				}
+			}
+			return null;
+		}
+
+		function addRule(key, rule) {
+			var new_rule = JSON.parse(JSON.stringify(rule));
+			if (side_select.value !== 'both') {
+				new_rule.side = side_select.value;
+			}
+			// A "url" glob would treat any "?" or "*" in the URL as a wildcard, so match it exactly
+			if (page_only_checkbox.checked && selected_page) {
+				var url = new URL(selected_page.url);
+				new_rule.urlRegex = '^' + escapeRegExp(url.pathname + url.search) + '$';
+			}
+
+			var serialized = JSON.stringify(new_rule);
+			var is_duplicate = rules.some(function(existing) {
+				return existing.key === key && JSON.stringify(existing.rule) === serialized;
+			});
+			if (!is_duplicate) {
+				rules.push({ key: key, rule: new_rule });
+				saveRules();
+			}
+		}
+
+		function saveRules() {
+			try {
+				sessionStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+			} catch (e) {}
+			renderRules();
+		}
+
+		function renderRules() {
+			count.textContent = rules.length;
+			rules_list.innerHTML = '';
+			rules.forEach(function(entry, index) {
+				var item = document.createElement('li');
+				var code = document.createElement('code');
+				code.textContent = entry.key + ': ' + JSON.stringify(entry.rule);
+				var remove_button = document.createElement('button');
+				remove_button.type = 'button';
+				remove_button.textContent = 'Remove';
+				remove_button.addEventListener('click', function() {
+					rules.splice(index, 1);
+					saveRules();
+				});
+				item.appendChild(code);
+				item.appendChild(remove_button);
+				rules_list.appendChild(item);
+			});
+			download_button.disabled = !rules.length;
+			clear_button.disabled = !rules.length;
+		}
+
+		function renderProposals(proposals, message) {
+			proposals_list.innerHTML = '';
+			if (!proposals.length) {
+				var empty_item = document.createElement('li');
+				empty_item.textContent = message;
+				proposals_list.appendChild(empty_item);
+				return;
+			}
+			proposals.forEach(function(proposal) {
+				var item = document.createElement('li');
+				var label = document.createElement('span');
+				label.textContent = proposal.label;
+				var add_button = document.createElement('button');
+				add_button.type = 'button';
+				add_button.textContent = 'Add';
+				add_button.addEventListener('click', function() {
+					addRule(proposal.key, proposal.rule);
+				});
+				item.appendChild(label);
+				item.appendChild(add_button);
+				proposals_list.appendChild(item);
+			});
+		}
+
+		function selectRow(row) {
+			if (selected_row) {
+				selected_row.classList.remove('ignore-rules__selected');
+			}
+			selected_row = row;
+			row.classList.add('ignore-rules__selected');
+		}
+
+		/**
+		 * Merges our rules into the clean config this report was created with.
+		 */
+		function getCleanConfig() {
+			var config = JSON.parse(JSON.stringify(existing_config));
+			rules.forEach(function(entry) {
+				config[entry.key] = (config[entry.key] || []).concat(entry.rule);
+			});
+			return config;
+		}
+
+		document.querySelector('#diff').addEventListener('click', function(e) {
+			var row = e.target.closest('tr');
+			var type = row && getRowType(row);
+			if (!type || type === 'cntx' || String(window.getSelection())) {
+				return;
+			}
+
+			var proposals = [];
+			var target_row = row;
+			if (type === 'info') {
+				var hunk = getHunkProposals(row);
+				if (hunk) {
+					proposals = hunk.proposals;
+					target_row = hunk.row;
+				}
+			} else {
+				proposals = getProposals(row, type);
+			}
+
+			selected_page = getPage(target_row);
+			if (!selected_page) {
+				proposals = [];
+			}
+
+			selectRow(target_row);
+			panel.open = true;
+			renderProposals(proposals, selected_page ? 'No rule can be proposed for this line, try the line that opens its element.' : 'Rules can only be proposed for pages.');
+		});
+
+		download_button.addEventListener('click', function() {
+			var blob = new Blob([JSON.stringify(getCleanConfig(), null, 2) + '\n'], { type: 'application/json' });
+			var link = document.createElement('a');
+			link.href = URL.createObjectURL(blob);
+			link.download = 'clean-config.json';
+			document.body.appendChild(link);
+			link.click();
+			document.body.removeChild(link);
+			URL.revokeObjectURL(link.href);
+		});
+
+		clear_button.addEventListener('click', function() {
+			rules = [];
+			saveRules();
+		});
+
+		renderRules();
+	})();
+`;
+
+/**
+ * Renders the panel that lets us click a changed line (or a hunk's header) in the report,
+ * pick a proposed `elements` or `attributes` rule that would ignore it, and download the
+ * rules we've collected as a clean config, merged into the one the report was created with.
+ * The downloaded file can be passed straight back in with `--clean-config`.
+ *
+ * @param {Object} opt
+ * @param {Object} [opt.clean_config] - The clean config the report was created with
+ * @param {Array<Object>} [opt.page_statuses] - So rules can be limited to a single page's URL
+ * @returns {{ styles: String, markup: String }}
+ */
+const createIgnoreRulesSection = ({ clean_config, page_statuses = [] } = {}) => {
+	let pages = page_statuses.map(({ path, url }) => ({
+		path: String(path).split('\\').join('/'),
+		url,
+	}));
+
+	return {
+		styles: IGNORE_RULES_STYLES,
+		markup: /* html */ `
+		<details class="ignore-rules">
+			<summary>Ignore rules (<span class="ignore-rules__count">0</span>)</summary>
+			<p class="ignore-rules__hint">Click a changed line, or a hunk's <code>@@</code> header, to propose a clean config rule that ignores it.</p>
+			<div class="ignore-rules__options">
+				<label>
+					Apply to
+					<select class="ignore-rules__side">
+						<option value="both">Both sides</option>
+						<option value="local">Only the local side</option>
+						<option value="remote">Only the remote side</option>
+					</select>
+				</label>
+				<label><input type="checkbox" class="ignore-rules__page-only"> Only this page</label>
+			</div>
+			<ul class="ignore-rules__proposals"></ul>
+			<ul class="ignore-rules__rules"></ul>
+			<button type="button" class="ignore-rules__download" disabled>Download clean config</button>
+			<button type="button" class="ignore-rules__clear" disabled>Clear</button>
+		</details>
+		<script type="application/json" id="ddp-clean-config">${toScriptJson(clean_config || {})}</script>
+		<script type="application/json" id="ddp-pages">${toScriptJson(pages)}</script>
+		<script>${IGNORE_RULES_SCRIPT}</script>`,
+	};
+};
+
+module.exports = createIgnoreRulesSection;
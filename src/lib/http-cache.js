@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const fetch = require('node-fetch');
+const { Headers, Response } = fetch;
+
+const DEFAULT_HTTP_CACHE_DIRECTORY = '.ddp-http-cache';
+
+// Responses that describe the page. Anything else (e.g. a 500) is always requested again.
+// Redirects are followed one hop at a time, so each hop is cached on its own
+const CACHEABLE_STATUS_CODES = [301, 302, 303, 307, 308, 404, 410];
+
+/**
+ * @param {Response} response
+ * @returns {Boolean}
+ */
+const isCacheableResponse = (response) =>
+	response.ok || CACHEABLE_STATUS_CODES.includes(response.status);
+
+// Response headers that could hold credentials, which we never write to disk
+const UNCACHED_HEADER_NAMES = [
+	'set-cookie',
+	'set-cookie2',
+	'authorization',
+	'proxy-authorization',
+	'cookie',
+];
+
+/**
+ * Keys a cached response by its URL and the headers it was requested with, so e.g. a page
+ * requested with one user's credentials or cookies is never served to another. Only a
+ * hash of those headers is kept, never their values.
+ * @param {String} url
+ * @param {Headers} headers - The request headers, without our conditional request headers
+ * @returns {String}
+ */
+const getCacheKey = (url, headers) => {
+	let header_lines = [...headers.entries()]
+		.map(([name, value]) => `${name.toLowerCase()}: ${value}`)
+		.sort();
+
+	return crypto
+		.createHash('sha256')
+		.update([url, ...header_lines].join('\n'))
+		.digest('hex');
+};
+
+/**
+ * @param {Headers} headers - Response headers
+ * @returns {Array<Array<String>>} The headers we can safely write to disk, as `[name, value]` pairs
+ */
+const getCacheableHeaders = (headers) =>
+	[...headers.entries()].filter(([name]) => !UNCACHED_HEADER_NAMES.includes(name.toLowerCase()));
+
+/**
+ * Recreates a `Response` from a cache entry, including whether it was redirected.
+ * @param {Object} entry
+ * @returns {Response}
+ */
+const toResponse = (entry) =>
+	new Response(entry.body, {
+		url: entry.final_url,
+		status: entry.status,
+		statusText: entry.status_text,
+		headers: new Headers(entry.headers),
+
+		// `node-fetch` uses its redirect counter for `response.redirected`
+		counter: entry.redirected ? 1 : 0,
+	});
+
+/**
+ * Creates a `fetch` that keeps raw responses in a persistent, on-disk cache.
+ *
+ * Cached responses younger than `max_age` are used as is. Older responses are revalidated
+ * with a conditional request (`If-None-Match` / `If-Modified-Since`), so an unchanged page
+ * only costs us a `304`. When `offline`, cached responses are always used and anything that
+ * isn't cached fails without touching the network.
+ *
+ * Responses are cached by URL and request headers, see `getCacheKey`. Any `Set-Cookie`
+ * (or other credential) headers they respond with aren't kept.
+ *
+ * @param {Object} [opt]
+ * @param {String} [opt.directory=".ddp-http-cache"]
+ * @param {Number} [opt.max_age=0] - In seconds. 0 means every cached response is revalidated.
+ * @param {Boolean} [opt.offline=false]
+ * @param {Function} [opt.fetch] - The underlying `fetch`, defaults to `node-fetch`
+ * @returns {Function} A `fetch`, with a `stats` property of its `hits`, `revalidated` and `misses`
+ */
+const createCachedFetch = ({
+	directory = DEFAULT_HTTP_CACHE_DIRECTORY,
+	max_age = 0,
+	offline = false,
+	fetch: doFetch = fetch,
+} = {}) => {
+	let stats = { hits: 0, revalidated: 0, misses: 0 };
+
+	const cachedFetch = async (url, options = {}) => {
+		let headers = new Headers(options.headers || {});
+		let entry_path = path.join(directory, `${getCacheKey(url, headers)}.json`);
+		let entry = await fs.readJson(entry_path).catch(() => null);
+
+		if (offline) {
+			if (!entry) {
+				throw new Error(`There is no cached response for ${url}, and we are offline.`);
+			}
+			stats.hits++;
+			return toResponse(entry);
+		}
+
+		if (entry && Date.now() - entry.stored_at < max_age * 1000) {
+			stats.hits++;
+			return toResponse(entry);
+		}
+
+		if (entry && entry.etag) {
+			headers.set('If-None-Match', entry.etag);
+		}
+		if (entry && entry.last_modified) {
+			headers.set('If-Modified-Since', entry.last_modified);
+		}
+
+		let response = await doFetch(url, Object.assign({}, options, { headers }));
+		if (entry && response.status === 304) {
+			// Drain the empty body so its socket can be reused
+			response.text().catch(() => {});
+
+			entry.stored_at = Date.now();
+			await fs.writeJson(entry_path, entry);
+			stats.revalidated++;
+			return toResponse(entry);
+		}
+
+		stats.misses++;
+		if (!isCacheableResponse(response)) {
+			return response;
+		}
+
+		entry = {
+			url,
+			final_url: response.url,
+			status: response.status,
+			status_text: response.statusText,
+			redirected: response.redirected,
+			headers: getCacheableHeaders(response.headers),
+			etag: response.headers.get('etag'),
+			last_modified: response.headers.get('last-modified'),
+			stored_at: Date.now(),
+			body: await response.text(),
+		};
+		await fs.ensureDir(directory);
+		await fs.writeJson(entry_path, entry);
+
+		return toResponse(entry);
+	};
+
+	cachedFetch.stats = stats;
+
+	return cachedFetch;
+};
+
+/**
+ * Deletes everything within our cache directory.
+ * @param {String} [directory=".ddp-http-cache"]
+ * @returns {Promise}
+ */
+const clearHttpCache = (directory = DEFAULT_HTTP_CACHE_DIRECTORY) => fs.remove(directory);
+
+module.exports = {
+	DEFAULT_HTTP_CACHE_DIRECTORY,
+	createCachedFetch,
+	clearHttpCache,
+};
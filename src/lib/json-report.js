@@ -0,0 +1,71 @@
+const { getPageResults, getAssetResults, summarizePageResults } = require('./page-results');
+
+/**
+ * Converts the hunks Diff2html parsed into plain objects.
+ * @param {Array<Object>} blocks
+ * @returns {Array<Object>}
+ */
+const formatHunks = (blocks) =>
+	blocks.map((block) => ({
+		header: block.header,
+		localStart: block.oldStartLine,
+		remoteStart: block.newStartLine,
+		lines: block.lines.map((line) => ({
+			type: line.type,
+			content: line.content,
+			localLine: line.oldNumber == null ? null : line.oldNumber,
+			remoteLine: line.newNumber == null ? null : line.newNumber,
+		})),
+	}));
+
+/**
+ * Creates a machine readable report of our differences. Every page we requested is included,
+ * along with how it responded, its added / removed line counts and its hunks.
+ *
+ * @param {Object} opt
+ * @param {String} opt.diff - The unified diff string
+ * @param {String} opt.title
+ * @param {Date} [opt.date]
+ * @param {Array<Object>} [opt.page_statuses]
+ * @param {Array<Object>} [opt.asset_statuses] - When linked assets were compared, these are included as `assets`
+ * @param {Object} [opt.link_audit] - From `auditLinks`, included as `linkAudit`
+ * @param {Object} [opt.meta] - Any additional run metadata, e.g. domain, clean config, timings
+ * @returns {Object}
+ */
+const createJsonReport = ({
+	diff,
+	title = '',
+	date = new Date(),
+	page_statuses = [],
+	asset_statuses,
+	link_audit,
+	meta = {},
+}) => {
+	let pages = getPageResults(diff, page_statuses).map(({ blocks, ...page }) =>
+		Object.assign(page, { hunks: formatHunks(blocks) })
+	);
+	let assets = asset_statuses
+		? getAssetResults(diff, asset_statuses).map(({ blocks, ...asset }) =>
+				Object.assign(asset, { hunks: formatHunks(blocks) })
+		  )
+		: null;
+
+	return Object.assign(
+		{
+			title,
+			date: date.toISOString(),
+		},
+		meta,
+		{
+			summary: summarizePageResults(pages),
+			pages,
+		},
+		assets ? { assets } : null,
+		link_audit ? { linkAudit: link_audit } : null,
+		{
+			diff,
+		}
+	);
+};
+
+module.exports = createJsonReport;
@@ -0,0 +1,30 @@
+/**
+ * Maps over an array with an async function, but only runs `concurrency` calls at a time.
+ * The resolved array retains the order of the original items.
+ * @example const html = await mapWithConcurrency(urls, 4, (url) => fetch(url).then((r) => r.text()));
+ * @param {Array<Any>} items
+ * @param {Number} concurrency - Maximum number of pending calls. Values less than 1 are treated as 1.
+ * @param {Function<Promise<Any>>} fn - Called with `(item, index)`
+ * @returns {Promise<Array<Any>>}
+ */
+const mapWithConcurrency = (items, concurrency, fn) => {
+	const limit = Math.max(1, Math.floor(concurrency) || 1);
+	const results = new Array(items.length);
+	let next_index = 0;
+
+	const worker = async () => {
+		while (next_index < items.length) {
+			let index = next_index++;
+			results[index] = await fn(items[index], index);
+		}
+	};
+
+	let workers = [];
+	for (let i = 0; i < Math.min(limit, items.length); i++) {
+		workers.push(worker());
+	}
+
+	return Promise.all(workers).then(() => results);
+};
+
+module.exports = mapWithConcurrency;
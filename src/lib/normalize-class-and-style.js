@@ -0,0 +1,130 @@
+const { globToRegExp } = require('./clean-rule-filters');
+
+/**
+ * Splits an inline style into its declarations. Semicolons within quotes or parentheses,
+ * e.g. in `url("data:image/png;base64,...")`, don't end a declaration.
+ * @param {String} style
+ * @returns {Array<String>}
+ */
+const splitDeclarations = (style) => {
+	let declarations = [];
+	let current = '';
+	let quote = null;
+	let depth = 0;
+
+	for (let char of style) {
+		if (quote) {
+			if (char === quote) {
+				quote = null;
+			}
+		} else if (char === '"' || char === "'") {
+			quote = char;
+		} else if (char === '(') {
+			depth++;
+		} else if (char === ')') {
+			depth = Math.max(0, depth - 1);
+		} else if (char === ';' && depth === 0) {
+			declarations.push(current);
+			current = '';
+			continue;
+		}
+		current += char;
+	}
+	declarations.push(current);
+
+	return declarations;
+};
+
+/**
+ * Formats an inline style canonically: one "property: value" per declaration, sorted by
+ * property. When a property is repeated, only the declaration that wins is kept.
+ * @example normalizeStyle('margin:0;COLOR : red') // "color: red; margin: 0"
+ * @param {String} style
+ * @returns {String}
+ */
+const normalizeStyle = (style) => {
+	let declarations = new Map();
+
+	for (let declaration of splitDeclarations(style)) {
+		let colon = declaration.indexOf(':');
+		if (colon === -1) {
+			continue;
+		}
+
+		// Custom properties are case sensitive
+		let property = declaration.slice(0, colon).trim();
+		if (!property.startsWith('--')) {
+			property = property.toLowerCase();
+		}
+		let value = declaration
+			.slice(colon + 1)
+			.trim()
+			.replace(/\s+/g, ' ')
+			.replace(/\s*!\s*important$/i, ' !important');
+		if (!property || !value) {
+			continue;
+		}
+
+		// A later declaration wins, unless only the earlier one is `!important`
+		let existing = declarations.get(property);
+		let important = value.endsWith('!important');
+		if (existing && existing.endsWith('!important') && !important) {
+			continue;
+		}
+		declarations.set(property, value);
+	}
+
+	return [...declarations.keys()]
+		.sort()
+		.map((property) => `${property}: ${declarations.get(property)}`)
+		.join('; ');
+};
+
+/**
+ * Sorts and dedupes an element's class tokens, dropping any that match our patterns.
+ * @example normalizeClassName('b a cq-editable a', [/^cq-.*$/]) // "a b"
+ * @param {String} class_name
+ * @param {Array<RegExp>} [ignore_patterns]
+ * @returns {String}
+ */
+const normalizeClassName = (class_name, ignore_patterns = []) =>
+	[...new Set(class_name.split(/\s+/).filter(Boolean))]
+		.filter((token) => !ignore_patterns.some((re) => re.test(token)))
+		.sort()
+		.join(' ');
+
+/**
+ * Normalizes every `class` and `style` attribute, so reordered class names or
+ * differently formatted inline styles aren't flagged as differences. Attributes left
+ * empty afterwards are removed, since they're the same as not being set at all.
+ * @param {Document} document
+ * @param {Object} [opt]
+ * @param {Array<String>} [opt.ignore_classes] - Globs of class names to drop, e.g. "cq-*"
+ */
+const normalizeClassesAndStylesInPlace = (document, { ignore_classes = [] } = {}) => {
+	let ignore_patterns = ignore_classes.map(globToRegExp);
+
+	for (let element of document.querySelectorAll('[class], [style]')) {
+		for (let [attribute, normalize] of [
+			['class', (value) => normalizeClassName(value, ignore_patterns)],
+			['style', normalizeStyle],
+		]) {
+			if (!element.hasAttribute(attribute)) {
+				continue;
+			}
+
+			let value = normalize(element.getAttribute(attribute));
+			if (value) {
+				element.setAttribute(attribute, value);
+			} else {
+				element.removeAttribute(attribute);
+			}
+		}
+	}
+};
+
+module.exports = {
+	normalizeStyle,
+	normalizeClassName,
+	normalizeClassesAndStylesInPlace,
+};
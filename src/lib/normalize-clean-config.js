@@ -0,0 +1,34 @@
+const isPlainObject = require('./is-plain-object');
+const validateCleanConfig = require('./validate-clean-config');
+
+const CLEAN_CONFIG_KEYS = ['elements', 'attributes', 'replacements', 'ignoreClasses', 'scope'];
+
+/**
+ * Picks the keys we know about from a clean config, and confirms its rules are valid
+ * before we start fetching anything.
+ * @param {Object} clean_config
+ * @returns {Object}
+ * @throws {Error} When the clean config is invalid, listing every problem found
+ */
+const normalizeCleanConfig = (clean_config) => {
+	if (!isPlainObject(clean_config)) {
+		throw new Error(`The clean config must be a plain object.`);
+	}
+
+	let errors = validateCleanConfig(clean_config);
+	if (errors.length) {
+		throw new Error(`The clean config is invalid:\n${errors.join('\n')}`);
+	}
+
+	// Poor man's `_.pick`, which also drops any "$schema" key
+	let picked_clean_config = {};
+	for (let key of CLEAN_CONFIG_KEYS) {
+		if (clean_config[key]) {
+			picked_clean_config[key] = clean_config[key];
+		}
+	}
+
+	return picked_clean_config;
+};
+
+module.exports = normalizeCleanConfig;
@@ -0,0 +1,163 @@
+const { globToRegExp } = require('./clean-rule-filters');
+
+// Attributes whose value is a single URL. `srcset` holds a list of them
+const URL_ATTRIBUTES = ['href', 'src', 'action'];
+
+// Used to resolve relative URLs when we don't know the page's URL. They stay relative
+const UNKNOWN_PAGE_URL = 'http://ddp.invalid/';
+
+/**
+ * Parses a `srcset` attribute into its candidates, e.g. "a.jpg 1x, b.jpg 2x".
+ * URLs can contain commas, so candidates are only split after a URL's descriptor.
+ * @param {String} srcset
+ * @returns {Array<{ url: String, descriptor: String }>}
+ */
+const parseSrcset = (srcset) => {
+	let candidates = [];
+	let remaining = srcset.trim();
+	while (remaining) {
+		let url = remaining.match(/^\S+/)[0];
+		let descriptor = '';
+		remaining = remaining.slice(url.length);
+
+		// A URL ending in a comma has no descriptor
+		if (/,$/.test(url)) {
+			url = url.replace(/,+$/, '');
+		} else {
+			let end = remaining.indexOf(',');
+			descriptor = (end === -1 ? remaining : remaining.slice(0, end)).trim();
+			remaining = end === -1 ? '' : remaining.slice(end + 1);
+		}
+
+		remaining = remaining.replace(/^[\s,]+/, '');
+		if (url) {
+			candidates.push({ url, descriptor });
+		}
+	}
+
+	return candidates;
+};
+
+/**
+ * Normalizes a single URL. URLs on one of our `origins` become root relative, query params
+ * are sorted (dropping any we strip), and "index.html" and trailing slashes are dropped from
+ * the path. Fragments, and URLs that aren't http(s), are left as they are.
+ * @example normalizeUrl('https://example.com/about/?b=2&a=1', { base_url: 'https://example.com/', origins: ['https://example.com'] }) // "/about?a=1&b=2"
+ * @param {String} value
+ * @param {Object} opt
+ * @param {String} opt.base_url - What relative URLs are resolved against
+ * @param {Set<String>} opt.origins - Origins whose URLs are made root relative
+ * @param {Array<RegExp>} [opt.strip_params] - Query params whose names match these are dropped
+ * @param {Boolean} [opt.ignore_case=false] - Lowercase the path
+ * @returns {String}
+ */
+const normalizeUrl = (value, { base_url, origins, strip_params = [], ignore_case = false }) => {
+	let trimmed = value.trim();
+	if (!trimmed || trimmed.startsWith('#')) {
+		return value;
+	}
+
+	let url;
+	try {
+		url = new URL(trimmed, base_url);
+	} catch (e) {
+		return value;
+	}
+	if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+		return value;
+	}
+
+	// `sort` is stable, so repeated params keep their order
+	let params = [...url.searchParams]
+		.filter(([name]) => !strip_params.some((re) => re.test(name)))
+		.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+	url.search = new URLSearchParams(params).toString();
+
+	let pathname = url.pathname.replace(/\/index\.html?$/i, '/');
+	if (pathname.length > 1) {
+		pathname = pathname.replace(/\/+$/, '');
+	}
+	if (ignore_case) {
+		pathname = pathname.toLowerCase();
+	}
+
+	let relative_url = `${pathname}${url.search}${url.hash}`;
+	return origins.has(url.origin) ? relative_url : `${url.origin}${relative_url}`;
+};
+
+/**
+ * Normalizes the URLs in every `href`, `src`, `action` and `srcset` attribute, so our root
+ * relative links and a CMS's absolute (or differently ordered) links to the same page match.
+ * Relative URLs are resolved against the page's URL, or its `<base>` element.
+ * @param {Document} document
+ * @param {Object} [opt]
+ * @param {String} [opt.url] - The page's URL
+ * @param {Array<String>} [opt.origins] - Other origins treated as our own, e.g. the compared domains
+ * @param {Array<String>} [opt.strip_params] - Globs of query param names to drop, e.g. "utm_*"
+ * @param {Boolean} [opt.ignore_case=false] - Lowercase each URL's path
+ */
+const normalizeUrlsInPlace = (
+	document,
+	{ url, origins = [], strip_params = [], ignore_case = false } = {}
+) => {
+	let base_url = url || UNKNOWN_PAGE_URL;
+	let base_element = document.querySelector('base[href]');
+	if (base_element) {
+		try {
+			base_url = new URL(base_element.getAttribute('href'), base_url).href;
+		} catch (e) {
+			// An invalid `<base>` is ignored by browsers too
+		}
+	}
+
+	let options = {
+		base_url,
+		origins: new Set(
+			[...origins, url || UNKNOWN_PAGE_URL, base_url]
+				.map((origin) => {
+					try {
+						return new URL(origin).origin;
+					} catch (e) {
+						return null;
+					}
+				})
+				.filter(Boolean)
+		),
+		strip_params: strip_params.map(globToRegExp),
+		ignore_case,
+	};
+
+	for (let element of document.querySelectorAll('[href], [src], [action], [srcset]')) {
+		// The `<base>` element is what our URLs are relative to, so it stays as it is
+		if (element === base_element) {
+			continue;
+		}
+
+		for (let attribute of URL_ATTRIBUTES) {
+			if (element.hasAttribute(attribute)) {
+				element.setAttribute(
+					attribute,
+					normalizeUrl(element.getAttribute(attribute), options)
+				);
+			}
+		}
+
+		if (element.hasAttribute('srcset')) {
+			let candidates = parseSrcset(element.getAttribute('srcset'));
+			element.setAttribute(
+				'srcset',
+				candidates
+					.map(({ url: candidate_url, descriptor }) =>
+						[normalizeUrl(candidate_url, options), descriptor].filter(Boolean).join(' ')
+					)
+					.join(', ')
+			);
+		}
+	}
+};
+
+module.exports = {
+	parseSrcset,
+	normalizeUrl,
+	normalizeUrlsInPlace,
+};
@@ -0,0 +1,99 @@
+const Diff2html = require('diff2html');
+const { PAGE_STATES } = require('./page-status');
+
+/**
+ * Strips the `local/` or `remote/` prefix our unified diffs put on file names. When
+ * comparing two remote environments, the prefix is the environment's label instead.
+ * @param {String} file_name
+ * @returns {String}
+ */
+const getPathFromDiffFileName = (file_name) => file_name.replace(/^[^/]+\//, '');
+
+/**
+ * Parses a unified diff, keyed by each file's path.
+ * @param {String} diff
+ * @returns {Map<String, Object>} The files Diff2html parsed
+ */
+const getDiffFilesByPath = (diff) => {
+	let files_by_path = new Map();
+	for (let file of Diff2html.parse(diff)) {
+		let file_name = file.newName === '/dev/null' ? file.oldName : file.newName;
+		files_by_path.set(getPathFromDiffFileName(file_name), file);
+	}
+
+	return files_by_path;
+};
+
+/**
+ * Combines our page statuses with the unified diff, so we know how much each page changed.
+ * "Added" lines are those only found remotely, and "removed" lines are those only found locally.
+ * @param {String} diff - The unified diff string
+ * @param {Array<Object>} page_statuses
+ * @returns {Array<Object>} The page statuses, with `changed`, `added`, `removed` and the parsed diff `blocks`
+ */
+const getPageResults = (diff, page_statuses) => {
+	let files_by_path = getDiffFilesByPath(diff);
+
+	return page_statuses.map((page_status) => {
+		let { url, path, status, state, redirectedTo, error, baseUrl, baseStatus } = page_status;
+		let file = files_by_path.get(String(path).split('\\').join('/'));
+
+		// Pages compared between two remote environments also note their base URL
+		let base = baseUrl ? { baseUrl, baseStatus } : null;
+
+		return Object.assign(
+			{
+				path,
+				url,
+				status,
+				state,
+				redirectedTo,
+				error,
+				changed: Boolean(file),
+				added: file ? file.addedLines : 0,
+				removed: file ? file.deletedLines : 0,
+				blocks: file ? file.blocks : [],
+			},
+			base
+		);
+	});
+};
+
+/**
+ * Combines the statuses of our linked assets with the unified diff, the same as `getPageResults`.
+ * @param {String} diff - The unified diff string
+ * @param {Array<Object>} asset_statuses
+ * @returns {Array<Object>} The asset statuses, with `changed`, `added`, `removed` and the parsed diff `blocks`
+ */
+const getAssetResults = (diff, asset_statuses) => {
+	let files_by_path = getDiffFilesByPath(diff);
+
+	return asset_statuses.map((asset_status) => {
+		let file = files_by_path.get(asset_status.path);
+		return Object.assign({}, asset_status, {
+			changed: Boolean(file),
+			added: file ? file.addedLines : 0,
+			removed: file ? file.deletedLines : 0,
+			blocks: file ? file.blocks : [],
+		});
+	});
+};
+
+/**
+ * @param {Array<Object>} pages - Results from `getPageResults`
+ * @returns {Object}
+ */
+const summarizePageResults = (pages) => ({
+	pages: pages.length,
+	changedPages: pages.filter((page) => page.changed).length,
+	added: pages.reduce((sum, page) => sum + page.added, 0),
+	removed: pages.reduce((sum, page) => sum + page.removed, 0),
+	missingPages: pages.filter((page) => page.state === PAGE_STATES.MISSING_IN_PRODUCTION).length,
+	failedPages: pages.filter((page) => page.state === PAGE_STATES.FETCH_FAILED).length,
+});
+
+module.exports = {
+	getPageResults,
+	getAssetResults,
+	summarizePageResults,
+};
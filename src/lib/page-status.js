@@ -0,0 +1,93 @@
+/**
+ * The states a compared page can be in, based on how its remote URL responded.
+ */
+const PAGE_STATES = {
+	OK: 'ok',
+	REDIRECTED: 'redirected',
+	MISSING_IN_PRODUCTION: 'missing-in-production',
+	ONLY_IN_PRODUCTION: 'only-in-production',
+	FETCH_FAILED: 'fetch-failed',
+};
+
+const PAGE_STATE_LABELS = {
+	[PAGE_STATES.OK]: 'OK',
+	[PAGE_STATES.REDIRECTED]: 'Redirected',
+	[PAGE_STATES.MISSING_IN_PRODUCTION]: 'Missing in production',
+	[PAGE_STATES.ONLY_IN_PRODUCTION]: 'Only in production',
+	[PAGE_STATES.FETCH_FAILED]: 'Fetch failed',
+};
+
+// Responses that mean the page doesn't exist, rather than it failing to load
+const MISSING_STATUS_CODES = [404, 410];
+
+/**
+ * Creates the status record for a page from its fetch response (or error).
+ * @param {Object} opt
+ * @param {String} opt.url - The URL that was requested
+ * @param {String} opt.path - The local file path, relative to the build directory
+ * @param {Response} [opt.response]
+ * @param {Error} [opt.error]
+ * @returns {{ url: String, path: String, status: Number|null, state: String, redirectedTo: String|null, error: String|null }}
+ */
+const getPageStatus = ({ url, path, response, error }) => {
+	let page_status = {
+		url,
+		path,
+		status: response ? response.status : null,
+		state: PAGE_STATES.OK,
+		redirectedTo: null,
+		error: null,
+	};
+
+	if (error || !response) {
+		page_status.state = PAGE_STATES.FETCH_FAILED;
+		page_status.error = error ? error.message || String(error) : 'No response';
+	} else if (MISSING_STATUS_CODES.includes(response.status)) {
+		page_status.state = PAGE_STATES.MISSING_IN_PRODUCTION;
+	} else if (!response.ok) {
+		page_status.state = PAGE_STATES.FETCH_FAILED;
+		page_status.error = response.statusText || null;
+	} else if (response.redirected) {
+		page_status.state = PAGE_STATES.REDIRECTED;
+		page_status.redirectedTo = response.url;
+	}
+
+	return page_status;
+};
+
+/**
+ * Formats our page statuses as plain text, one page per line.
+ * @param {Array<Object>} page_statuses
+ * @returns {String}
+ */
+const formatPageStatuses = (page_statuses) => {
+	let status_width = Math.max(3, ...page_statuses.map((p) => String(p.status || '---').length));
+	let label_width = Math.max(...page_statuses.map((p) => PAGE_STATE_LABELS[p.state].length));
+
+	return page_statuses
+		.map(({ url, status, state, redirectedTo, error, baseUrl, baseStatus }) => {
+			let line = [
+				String(status || '---').padEnd(status_width),
+				PAGE_STATE_LABELS[state].padEnd(label_width),
+				url,
+			].join('  ');
+			if (redirectedTo) {
+				line += ` -> ${redirectedTo}`;
+			}
+			if (error) {
+				line += ` (${error})`;
+			}
+			if (baseUrl) {
+				line += ` (compared with ${baseUrl}, ${baseStatus || '---'})`;
+			}
+			return line;
+		})
+		.join('\n');
+};
+
+module.exports = {
+	PAGE_STATES,
+	PAGE_STATE_LABELS,
+	getPageStatus,
+	formatPageStatuses,
+};
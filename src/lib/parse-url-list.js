@@ -0,0 +1,12 @@
+/**
+ * Parses a list of URLs, one per line. Blank lines and lines starting with `#` are skipped.
+ * @param {String} contents
+ * @returns {Array<String>}
+ */
+const parseUrlList = (contents) =>
+	String(contents)
+		.split(/\r?\n/)
+		.map((line) => line.trim())
+		.filter((line) => line && !line.startsWith('#'));
+
+module.exports = parseUrlList;
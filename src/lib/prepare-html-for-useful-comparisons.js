@@ -2,21 +2,140 @@ const { html: htmlBeautify } = require('js-beautify');
 const { minify: htmlMinify } = require('html-minifier');
 const { sortAttributesOnDomTreeInPlace, walkTheDOM } = require('./sort-attributes-on-dom.js');
 const { JSDOM } = require('jsdom');
+const { getScopeSelector, ruleApplies } = require('./clean-rule-filters');
+const extractVisibleText = require('./extract-visible-text');
+const { normalizeClassesAndStylesInPlace } = require('./normalize-class-and-style');
+const { normalizeUrlsInPlace } = require('./normalize-urls');
+
+/**
+ * Replaces the document's contents with the contents of the elements matching our
+ * scope selector, so only that region of the page is compared. Any matches nested
+ * within another match are skipped, since they are already included.
+ * @param {Document} document
+ * @param {String} selector
+ */
+const scopeDocumentInPlace = (document, selector) => {
+	let matches;
+	try {
+		matches = [...document.querySelectorAll(selector)];
+	} catch (e) {
+		let error = 'Invalid `scope` selector passed: ' + JSON.stringify(selector);
+		throw error;
+	}
+	matches = matches.filter((element) =>
+		matches.every((other) => other === element || !other.contains(element))
+	);
+
+	let scoped_html = matches.map((element) => element.innerHTML).join('\n');
+
+	document.head.innerHTML = '';
+	for (let element of [document.documentElement, document.body]) {
+		for (let attribute of element.getAttributeNames()) {
+			element.removeAttribute(attribute);
+		}
+	}
+
+	document.body.innerHTML = scoped_html;
+	if (!matches.length) {
+		// Leave a note, so an empty page in our diff is easy to explain
+		let comment = document.createComment(` No elements matched the scope "${selector}" `);
+		document.body.appendChild(comment);
+	}
+};
+
+/**
+ * Rewrites text nodes and / or attribute values with our `replacements` rules, so values
+ * that always differ (nonces, cache busting query strings, CDN hostnames) are normalized
+ * rather than removed. Each rule's regular expression replaces every match.
+ * @param {Document} document
+ * @param {Array<Object>} replacements
+ * @param {String} [url]
+ * @param {String} [side]
+ */
+const applyReplacementsInPlace = (document, replacements, url, side) => {
+	for (let rule of replacements) {
+		let {
+			regex,
+			regexFlags = '',
+			replacement = '',
+			selector,
+			attributes = [],
+			text = !attributes.length,
+		} = rule;
+
+		if (!regex || !ruleApplies(rule, url, side)) {
+			continue;
+		}
+
+		try {
+			let re = new RegExp(regex, regexFlags.includes('g') ? regexFlags : regexFlags + 'g');
+			let roots = selector
+				? [...document.querySelectorAll(selector)]
+				: [document.documentElement];
+
+			if (text) {
+				// Collect first, so nested matches don't rewrite the same text twice
+				let text_nodes = new Set();
+				for (let root of roots) {
+					let walker = document.createTreeWalker(
+						root,
+						document.defaultView.NodeFilter.SHOW_TEXT
+					);
+					while (walker.nextNode()) {
+						text_nodes.add(walker.currentNode);
+					}
+				}
+				for (let text_node of text_nodes) {
+					text_node.nodeValue = text_node.nodeValue.replace(re, replacement);
+				}
+			}
+
+			if (attributes.length) {
+				// Without a selector, every element's attributes are rewritten
+				let elements = selector ? roots : document.querySelectorAll('*');
+				for (let element of elements) {
+					for (let attribute of attributes) {
+						if (element.hasAttribute(attribute)) {
+							element.setAttribute(
+								attribute,
+								element.getAttribute(attribute).replace(re, replacement)
+							);
+						}
+					}
+				}
+			}
+		} catch (e) {
+			let error = 'Invalid `replacement` passed: ' + JSON.stringify(rule);
+			throw error;
+		}
+	}
+};
 
 /**
  * This is the main function that allows us to compare our different HTML sources.
  * Here, we:
  *
  * - Minify HTML (e.g. remove all HTML comments)
+ * - Sort and dedupe class names, and canonically format inline styles
  * - Sort attributes on all Elements
  * - Beautify HTML
  * - Removing all leading indentation
  *
  * Optionally, we can also:
  *
+ * - Scope the comparison to the contents of the elements matching a selector, which
+ *   can differ between the local and remote sides
  * - Empty the contents of any element that matches a selector. For example, you
  *   can pass in 'head' to empty the head tag
+ * - Unwrap any element that matches a selector, keeping its children. For example,
+ *   a wrapper `<div>` that a CMS adds around our markup
+ * - Rewrite text and attribute values with regular expressions. For example, to
+ *   drop the `?v=123` cache busting query strings that differ between builds
+ * - Normalize the URLs in `href`, `src`, `action` and `srcset` attributes, so the same
+ *   link written as root relative and as absolute isn't flagged as a difference
  * - Sort Elements within `<head>` tag
+ * - Reduce the document to its visible text, one line per block-level element, so
+ *   only differences in the copy are shown
  *
  * We then return the new string. By doing this against a local HTML file
  * and a file we pull from a server (e.g., from a file served up in a CMS),
@@ -27,16 +146,32 @@ const { JSDOM } = require('jsdom');
  * @param {Boolean} [opt.reorder_head_tags=false]
  * @param {Boolean} [opt.tidy_on_bad_html=false]
  * @param {Boolean} [opt.quiet=false]
+ * @param {Boolean} [opt.text_only=false] - Return the visible text rather than the HTML
+ * @param {Boolean} [opt.include_alt_text=false] - When `text_only`, include `alt` and `title` attributes
+ * @param {String} [opt.url] - The URL of the page, so URL-specific config can be applied
+ * @param {String} [opt.side] - Whether this is the 'local' or 'remote' HTML, so side-specific config can be applied
+ * @param {Object} [opt.normalize_urls] - When set, normalize URL attributes. See `normalizeUrlsInPlace`
+ * @param {Array<String>} [opt.normalize_urls.origins] - Origins (besides the page's own) whose URLs are made root relative
+ * @param {Array<String>} [opt.normalize_urls.strip_params] - Globs of query param names to drop
+ * @param {Boolean} [opt.normalize_urls.ignore_case=false] - Lowercase each URL's path
  * @param {Object} [opt.clean_config]
+ * @param {String|Object|Array<Object>} [opt.clean_config.scope]
  * @param {Array<Object>} [opt.clean_config.elements]
  * @param {Array<Object>} [opt.clean_config.attributes]
+ * @param {Array<Object>} [opt.clean_config.replacements]
+ * @param {Array<String>} [opt.clean_config.ignoreClasses] - Globs of class names to drop, e.g. "cq-*"
  * @param {String} [opt.clean_config.elements.0.selector]
  * @param {Boolean} [opt.clean_config.elements.0.empty=true]
  * @param {Boolean} [opt.clean_config.elements.0.remove]
+ * @param {Boolean} [opt.clean_config.elements.0.unwrap] - Replace the element with its children
  * @param {String} [opt.clean_config.elements.0.contains]
  * @param {String} [opt.clean_config.elements.0.containsRegex]
  * @param {String} [opt.clean_config.elements.0.containsRegexFlags]
  * @param {String} [opt.clean_config.elements.0.replacement]
+ * @param {String} [opt.clean_config.elements.0.side='both'] - One of 'local', 'remote' or 'both'
+ * @param {String} [opt.clean_config.elements.0.url] - A glob the page's URL must match
+ * @param {String} [opt.clean_config.elements.0.urlRegex] - A regular expression the page's URL must match
+ * @param {String} [opt.clean_config.elements.0.urlRegexFlags]
  * @param {String} [opt.clean_config.attributes.0.attribute]
  * @param {String} [opt.clean_config.attributes.0.selector]
  * @param {Boolean} [opt.clean_config.attributes.0.empty]
@@ -45,18 +180,44 @@ const { JSDOM } = require('jsdom');
  * @param {String} [opt.clean_config.attributes.0.containsRegex]
  * @param {String} [opt.clean_config.attributes.0.containsRegexFlags]
  * @param {String} [opt.clean_config.attributes.0.replacement]
- * @returns {String} Returns our cleaned HTML
+ * @param {String} [opt.clean_config.attributes.0.side='both']
+ * @param {String} [opt.clean_config.attributes.0.url]
+ * @param {String} [opt.clean_config.attributes.0.urlRegex]
+ * @param {String} [opt.clean_config.attributes.0.urlRegexFlags]
+ * @param {String} [opt.clean_config.replacements.0.regex]
+ * @param {String} [opt.clean_config.replacements.0.regexFlags] - The "g" flag is always added
+ * @param {String} [opt.clean_config.replacements.0.replacement='']
+ * @param {String} [opt.clean_config.replacements.0.selector] - Only rewrite within the matching elements
+ * @param {Array<String>} [opt.clean_config.replacements.0.attributes] - The attributes whose values are rewritten
+ * @param {Boolean} [opt.clean_config.replacements.0.text] - Whether text is rewritten. Defaults to true when no `attributes` are set
+ * @param {String} [opt.clean_config.replacements.0.side='both']
+ * @param {String} [opt.clean_config.replacements.0.url]
+ * @param {String} [opt.clean_config.replacements.0.urlRegex]
+ * @param {String} [opt.clean_config.replacements.0.urlRegexFlags]
+ * @returns {String} Returns our cleaned HTML, or text when `text_only` is set
  */
 const prepareHtmlForUsefulComparisons = (
 	html_str,
-	{ reorder_head_tags = false, tidy_on_bad_html = false, quiet = false, clean_config = {} } = {}
+	{
+		reorder_head_tags = false,
+		tidy_on_bad_html = false,
+		quiet = false,
+		text_only = false,
+		include_alt_text = false,
+		url,
+		side,
+		clean_config = {},
+		normalize_urls,
+	} = {}
 ) => {
 	const loud = !quiet;
 	const HTML_MINIFY_CONFIG = {
 		removeComments: true,
 		collapseWhitespace: true,
 		decodeEntities: true,
-		collapseInlineTagWhitespace: true,
+
+		// Keep the spaces between inline elements, otherwise their words run together in our text
+		collapseInlineTagWhitespace: !text_only,
 	};
 	const HTML_BEAUTIFY_CONFIG = {
 		content_unformatted: ['script', 'pre'],
@@ -94,7 +255,13 @@ const prepareHtmlForUsefulComparisons = (
 	let dom = new JSDOM(minified_html);
 	let { document } = dom.window;
 
-	// Prune (via removal or emptying the contents) of any matching element
+	// Only compare a region of the page, e.g. the CMS's content area
+	let scope_selector = clean_config && getScopeSelector(clean_config.scope, url, side);
+	if (scope_selector) {
+		scopeDocumentInPlace(document, scope_selector);
+	}
+
+	// Prune (via removal, unwrapping, or emptying the contents) of any matching element
 	if (clean_config) {
 		if (clean_config.elements && Array.isArray(clean_config.elements)) {
 			for (let element_to_clean of clean_config.elements) {
@@ -105,11 +272,12 @@ const prepareHtmlForUsefulComparisons = (
 						containsRegex,
 						containsRegexFlags,
 						remove,
+						unwrap,
 						empty = true,
 						replacement,
 					} = element_to_clean;
 
-					if (!selector) {
+					if (!selector || !ruleApplies(element_to_clean, url, side)) {
 						continue;
 					}
 
@@ -150,8 +318,11 @@ const prepareHtmlForUsefulComparisons = (
 
 						// We found a matching element! Prune it
 						if (remove) {
-							// `remove` overrides `empty` if both are set
+							// `remove` overrides `unwrap` and `empty` if they are set
 							element.parentNode.removeChild(element);
+						} else if (unwrap) {
+							// Replace the element with its children, e.g. to drop a CMS's wrapper
+							element.replaceWith(...element.childNodes);
 						} else if (empty) {
 							element.innerHTML = '';
 							if (replacement) {
@@ -182,7 +353,7 @@ const prepareHtmlForUsefulComparisons = (
 						replacement,
 					} = attribute_to_clean;
 
-					if (!attribute) {
+					if (!attribute || !ruleApplies(attribute_to_clean, url, side)) {
 						continue;
 					}
 
@@ -251,6 +422,22 @@ const prepareHtmlForUsefulComparisons = (
 		}
 	}
 
+	// Normalize the values that differ without being useful, before our attributes are sorted
+	if (clean_config && Array.isArray(clean_config.replacements)) {
+		applyReplacementsInPlace(document, clean_config.replacements, url, side);
+	}
+
+	// Text only comparisons don't include any URLs
+	if (normalize_urls && !text_only) {
+		normalizeUrlsInPlace(document, Object.assign({}, normalize_urls, { url }));
+	}
+
+	// Our clean config has been applied, so all that is left is to pull out the copy
+	if (text_only) {
+		let lines = extractVisibleText(document, { include_alt_text });
+		return lines.length ? lines.join('\n') + '\n' : '';
+	}
+
 	if (reorder_head_tags) {
 		let head_children = [...document.head.children];
 
@@ -280,6 +467,11 @@ const prepareHtmlForUsefulComparisons = (
 		document.head.innerHTML = sorted_head_html;
 	}
 
+	// Reordered class names and reformatted inline styles aren't useful differences either
+	normalizeClassesAndStylesInPlace(document, {
+		ignore_classes: (clean_config && clean_config.ignoreClasses) || [],
+	});
+
 	/**
 	 * Sort all element attributes in alphabetical order.
 	 * This is useful because, comparing
@@ -0,0 +1,283 @@
+const path = require('path');
+const fs = require('fs-extra');
+const isPlainObject = require('./is-plain-object');
+
+const CONFIG_FILE_NAMES = ['ddp.config.js', '.ddprc.json', '.ddprc'];
+const PACKAGE_JSON_KEY = 'ddp';
+
+// Config keys that don't map to a flag
+const NON_FLAG_KEYS = ['domain', 'environments', 'defaultEnvironment'];
+
+// Flags that only make sense on the command line
+const CLI_ONLY_FLAGS = ['help', 'version', 'config', 'env', 'clear-cache'];
+
+// Config keys that are named differently from their flag
+const CONFIG_KEY_ALIASES = { header: 'headers' };
+
+// Paths within a config file are relative to the config file, not the current directory
+const PATH_FLAGS = ['build-dir', 'output', 'cookie-file', 'url-list', 'snapshot-dir', 'cache-dir'];
+const PATH_OR_JSON_FLAGS = ['clean-config', 'url-map'];
+
+/**
+ * Converts a flag name to the key used in our config files, e.g. `build-dir` to `buildDir`.
+ * @param {String} flag_name
+ * @returns {String}
+ */
+const flagNameToConfigKey = (flag_name) =>
+	flag_name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+/**
+ * Checks a value from a config file the same way oclif checks a flag passed on the command
+ * line, so e.g. `concurrency: "lots"` fails rather than reaching `compare`.
+ * @param {String} key - The config key, for our error messages
+ * @param {Any} value
+ * @param {Object} definition - The flag's definition
+ * @returns {Any} The value, parsed by the flag (e.g. integers from Strings)
+ */
+const parseConfigValue = (key, value, definition) => {
+	if (definition.type === 'boolean') {
+		if (typeof value !== 'boolean') {
+			throw new Error(
+				`"${key}" must be true or false, but received: ${JSON.stringify(value)}`
+			);
+		}
+		return value;
+	}
+
+	if (definition.multiple && Array.isArray(value)) {
+		return value.map((item, index) =>
+			parseConfigValue(
+				`${key}[${index}]`,
+				item,
+				Object.assign({}, definition, { multiple: false })
+			)
+		);
+	}
+
+	if (typeof value === 'number') {
+		value = String(value);
+	}
+	if (typeof value !== 'string') {
+		throw new Error(`"${key}" must be a String, but received: ${JSON.stringify(value)}`);
+	}
+	if (definition.options && !definition.options.includes(value)) {
+		throw new Error(
+			`"${key}" must be one of: ${definition.options.join(', ')}, but received: ${value}`
+		);
+	}
+
+	if (definition.parse) {
+		try {
+			value = definition.parse(value, {});
+		} catch (e) {
+			throw new Error(`"${key}" is invalid. ${e.message}`);
+		}
+	}
+	return definition.multiple ? [value] : value;
+};
+
+/**
+ * Loads a single config file. JS files are `require`d, everything else is parsed as JSON.
+ * @param {String} filepath
+ * @returns {Promise<Object>}
+ */
+const loadProjectConfig = async (filepath) => {
+	let config;
+	if (/\.[cm]?js$/i.test(filepath)) {
+		let resolved_path = path.resolve(filepath);
+		delete require.cache[resolved_path];
+		config = require(resolved_path);
+	} else {
+		let contents = await fs.readFile(filepath, 'utf8');
+		try {
+			config = JSON.parse(contents);
+		} catch (e) {
+			throw new Error(`The config file "${filepath}" does not contain valid JSON. ${e}`);
+		}
+		if (path.basename(filepath) === 'package.json') {
+			config = config[PACKAGE_JSON_KEY];
+		}
+	}
+
+	if (!isPlainObject(config)) {
+		throw new Error(`The config file "${filepath}" must export a plain object.`);
+	}
+
+	return config;
+};
+
+/**
+ * Looks for a project config file, starting in `cwd` and moving up through its parents.
+ * Within each directory, we look for `ddp.config.js`, `.ddprc.json`, `.ddprc`, and
+ * finally a "ddp" key in `package.json`.
+ * @param {String} [cwd=process.cwd()]
+ * @returns {Promise<{ filepath: String, config: Object }|null>}
+ */
+const findProjectConfig = async (cwd = process.cwd()) => {
+	let directory = path.resolve(cwd);
+	while (true) {
+		for (let file_name of CONFIG_FILE_NAMES) {
+			let filepath = path.join(directory, file_name);
+			if (await fs.exists(filepath)) {
+				return { filepath, config: await loadProjectConfig(filepath) };
+			}
+		}
+
+		let package_json_path = path.join(directory, 'package.json');
+		if (await fs.exists(package_json_path)) {
+			let package_json = await fs.readJson(package_json_path).catch(() => ({}));
+			if (package_json[PACKAGE_JSON_KEY]) {
+				return {
+					filepath: package_json_path,
+					config: await loadProjectConfig(package_json_path),
+				};
+			}
+		}
+
+		let parent_directory = path.dirname(directory);
+		if (parent_directory === directory) {
+			return null;
+		}
+		directory = parent_directory;
+	}
+};
+
+/**
+ * Merges an environment's options over the base options. Clean config rules are
+ * combined (environment rules run after the base rules), and headers are merged.
+ * Everything else in the environment replaces the base value.
+ * @param {Object} base
+ * @param {Object} environment
+ * @returns {Object}
+ */
+const mergeProjectConfigs = (base, environment) => {
+	let merged = Object.assign({}, base, environment);
+
+	if (isPlainObject(base.cleanConfig) && isPlainObject(environment.cleanConfig)) {
+		merged.cleanConfig = Object.assign({}, base.cleanConfig, environment.cleanConfig);
+		for (let key of ['elements', 'attributes', 'replacements', 'ignoreClasses']) {
+			if (base.cleanConfig[key] || environment.cleanConfig[key]) {
+				merged.cleanConfig[key] = [].concat(
+					base.cleanConfig[key] || [],
+					environment.cleanConfig[key] || []
+				);
+			}
+		}
+	}
+
+	if (isPlainObject(base.headers) && isPlainObject(environment.headers)) {
+		merged.headers = Object.assign({}, base.headers, environment.headers);
+	}
+
+	return merged;
+};
+
+/**
+ * Resolves the options for a run from a project config, applying a named environment.
+ * When `env_name` isn't set, the config's `defaultEnvironment` is used, if it has one.
+ * @param {Object} config
+ * @param {String} [env_name]
+ * @returns {Object} The resolved options, without the `environments` and `defaultEnvironment` keys
+ */
+const resolveProjectConfig = (config, env_name) => {
+	let { environments = {}, defaultEnvironment, ...base } = config;
+	env_name = env_name || defaultEnvironment;
+
+	if (!env_name) {
+		return base;
+	}
+
+	if (!isPlainObject(environments) || !isPlainObject(environments[env_name])) {
+		let available = isPlainObject(environments) ? Object.keys(environments) : [];
+		throw new Error(
+			`The environment "${env_name}" is not defined in the config file.` +
+				(available.length ? ` Available environments: ${available.join(', ')}.` : '')
+		);
+	}
+
+	return mergeProjectConfigs(base, environments[env_name]);
+};
+
+/**
+ * Fills in any flags that weren't set on the command line (or via their environment
+ * variable) with the values from our resolved project config.
+ * @param {Object} opt
+ * @param {Object} opt.options - Options from `resolveProjectConfig`
+ * @param {String} opt.filepath - The config file's path, so relative paths can be resolved
+ * @param {Object} opt.flags - The parsed flags
+ * @param {Object} opt.flag_definitions - The command's flag definitions
+ * @param {Array<String>} opt.explicit_flag_names - Flags that were passed on the command line
+ * @param {Object} [opt.env=process.env]
+ * @returns {{ flags: Object, unknown_keys: Array<String> }}
+ * @throws {Error} When a value isn't valid for its flag, e.g. a `format` that isn't one of its options
+ */
+const applyProjectConfig = ({
+	options,
+	filepath,
+	flags,
+	flag_definitions,
+	explicit_flag_names,
+	env = process.env,
+}) => {
+	let config_directory = path.dirname(path.resolve(filepath));
+	let merged_flags = Object.assign({}, flags);
+	let known_keys = new Set(NON_FLAG_KEYS);
+
+	for (let [flag_name, definition] of Object.entries(flag_definitions)) {
+		if (CLI_ONLY_FLAGS.includes(flag_name)) {
+			continue;
+		}
+
+		let key = CONFIG_KEY_ALIASES[flag_name] || flagNameToConfigKey(flag_name);
+		known_keys.add(key);
+		if (
+			options[key] === undefined ||
+			explicit_flag_names.includes(flag_name) ||
+			(definition.env && env[definition.env] != null)
+		) {
+			continue;
+		}
+
+		let value = options[key];
+		if (flag_name === 'header' && isPlainObject(value)) {
+			value = Object.entries(value).map(([name, header_value]) => `${name}: ${header_value}`);
+		}
+		if (!(PATH_OR_JSON_FLAGS.includes(flag_name) && typeof value === 'object' && value)) {
+			try {
+				value = parseConfigValue(key, value, definition);
+			} catch (e) {
+				throw new Error(`Invalid value in the config file "${filepath}". ${e.message}`);
+			}
+		}
+
+		if (
+			PATH_FLAGS.includes(flag_name) &&
+			typeof value === 'string' &&
+			value !== 'stdout' &&
+			value !== 'stdin'
+		) {
+			value = path.resolve(config_directory, value);
+		} else if (PATH_OR_JSON_FLAGS.includes(flag_name) && typeof value === 'string') {
+			let resolved_path = path.resolve(config_directory, value);
+			if (fs.existsSync(resolved_path)) {
+				value = resolved_path;
+			}
+		}
+
+		merged_flags[flag_name] = value;
+	}
+
+	let unknown_keys = Object.keys(options).filter((key) => !known_keys.has(key));
+
+	return { flags: merged_flags, unknown_keys };
+};
+
+module.exports = {
+	CONFIG_FILE_NAMES,
+	flagNameToConfigKey,
+	applyProjectConfig,
+	loadProjectConfig,
+	findProjectConfig,
+	mergeProjectConfigs,
+	resolveProjectConfig,
+};
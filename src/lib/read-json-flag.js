@@ -0,0 +1,62 @@
+const chalk = require('chalk');
+const fs = require('fs-extra');
+
+/**
+ * Creates an Error with the extra options `this.error` accepts.
+ * @param {String} message
+ * @param {Object} [opt]
+ * @param {String} [opt.code]
+ * @param {Array<String>} [opt.suggestions]
+ * @returns {Error}
+ */
+const createFlagError = (message, { code, suggestions } = {}) =>
+	Object.assign(new Error(message), { code, suggestions });
+
+/**
+ * Resolves a flag that holds JSON, since we support different ways of passing this in:
+ * - When value is 'stdin', read from piped in stdin
+ * - Filename
+ * - Inline JSON
+ *
+ * @param {String} value
+ * @param {Object} opt
+ * @param {String} opt.flag_name - Used in our error messages, e.g. "clean-config"
+ * @param {String} [opt.piped_in_string]
+ * @returns {Promise<Any>} The parsed JSON
+ * @throws {Error} With `code` and `suggestions` properties to pass to `this.error`
+ */
+const readJsonFlag = async (value, { flag_name, piped_in_string = '' }) => {
+	if (value === 'stdin') {
+		try {
+			return JSON.parse(piped_in_string);
+		} catch (e) {
+			throw createFlagError(`The piped input from stdin was not valid JSON.`, {
+				code: e.toString(),
+			});
+		}
+	} else if (await fs.exists(value)) {
+		let contents = await fs.readFile(value);
+		try {
+			return JSON.parse(contents);
+		} catch (e) {
+			throw createFlagError(
+				`The file "${chalk.yellow(value)}" does not contain valid JSON.`,
+				{
+					code: e.toString(),
+				}
+			);
+		}
+	} else {
+		// Assume it is inline JSON
+		try {
+			return JSON.parse(value);
+		} catch (e) {
+			throw createFlagError(`The "${flag_name}" flag is not valid JSON.`, {
+				code: e.toString(),
+				suggestions: [`If you meant to load a JSON file, confirm that "${value}" exists.`],
+			});
+		}
+	}
+};
+
+module.exports = readJsonFlag;
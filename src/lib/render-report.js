@@ -0,0 +1,110 @@
+const Diff2html = require('diff2html');
+const createHtmlDiff = require('./html-diff-template');
+const createJsonReport = require('./json-report');
+const { formatAssetStatuses } = require('./assets');
+const { formatLinkAudit } = require('./audit-links');
+const { formatPageStatuses } = require('./page-status');
+const { version } = require('../../package.json');
+
+const FORMAT_HTML = 'html';
+const FORMAT_JSON = 'json';
+const FORMAT_DIFF = 'diff';
+const FORMATS = [FORMAT_HTML, FORMAT_JSON, FORMAT_DIFF];
+
+/**
+ * Renders the results of a comparison as a report.
+ *
+ * - "html" is a browsable report
+ * - "json" is a machine-readable report with per-page statuses, line counts and hunks
+ * - "diff" is the raw unified diff, so it can be piped into `patch` or other diff tools. See
+ *   `renderStatusTables` for the page statuses that go along with it
+ *
+ * @param {Object} result - The result from `compare()`
+ * @param {Object} [opt]
+ * @param {String} [opt.format="html"]
+ * @param {String} [opt.title] - Defaults to the compared domain
+ * @param {Date} [opt.date]
+ * @returns {String}
+ */
+const renderReport = (result, { format = FORMAT_HTML, title = result.domain, date } = {}) => {
+	let {
+		diff,
+		pageStatuses: page_statuses,
+		assetStatuses: asset_statuses,
+		linkAudit: link_audit,
+	} = result;
+
+	if (format === FORMAT_JSON) {
+		let report = createJsonReport({
+			title,
+			date,
+			diff,
+			page_statuses,
+			asset_statuses,
+			link_audit,
+			meta: {
+				version,
+				domain: result.domain,
+				buildDir: result.buildDir,
+				cleanConfig: result.cleanConfig || null,
+				normalizeUrls: result.normalizeUrls || null,
+				diffEngine: result.diffEngine,
+				textOnly: Boolean(result.textOnly),
+				baseDomain: result.baseDomain || null,
+				labels: result.labels || null,
+				fromSnapshot: result.fromSnapshot || null,
+				toSnapshot: result.toSnapshot || null,
+				timings: result.timings,
+			},
+		});
+		return JSON.stringify(report, null, 2);
+	} else if (format === FORMAT_HTML) {
+		return createHtmlDiff({
+			title,
+			date,
+			diff: Diff2html.html(diff),
+			page_statuses,
+			asset_statuses,
+			link_audit,
+			labels: result.labels || undefined,
+
+			// Text only reports have no markup to build rules from
+			ignore_rules: !result.textOnly,
+			clean_config: result.cleanConfig || undefined,
+		});
+	} else if (format === FORMAT_DIFF) {
+		return diff;
+	}
+
+	throw new Error(`Unknown report format "${format}", expected one of ${FORMATS.join(', ')}.`);
+};
+
+/**
+ * Renders text tables of the page (and linked asset) statuses and any link audit, which
+ * the "html" and "json" reports include, for logging alongside a "diff" report.
+ * @param {Object} result - The result from `compare()`
+ * @returns {String}
+ */
+const renderStatusTables = ({
+	pageStatuses: page_statuses,
+	assetStatuses: asset_statuses,
+	linkAudit: link_audit,
+}) => {
+	let sections = ['Page statuses:', formatPageStatuses(page_statuses)];
+	if (asset_statuses && asset_statuses.length) {
+		sections.push('', 'Linked assets:', formatAssetStatuses(asset_statuses));
+	}
+	if (link_audit) {
+		sections.push('', 'Link audit:', formatLinkAudit(link_audit));
+	}
+	return sections.join('\n');
+};
+
+module.exports = {
+	FORMAT_HTML,
+	FORMAT_JSON,
+	FORMAT_DIFF,
+	FORMATS,
+	renderReport,
+	renderStatusTables,
+};
@@ -0,0 +1,88 @@
+const http = require('http');
+
+const DEFAULT_REPORT_SERVER_PORT = 5050;
+const EVENTS_PATH = '/__ddp_events';
+
+// Reloads the page whenever the server tells us the report changed
+const LIVE_RELOAD_SCRIPT = `<script>
+	new EventSource('${EVENTS_PATH}').addEventListener('reload', function () {
+		window.location.reload();
+	});
+</script>`;
+
+/**
+ * Adds our live reload script to the end of an HTML report.
+ * @param {String} html
+ * @returns {String}
+ */
+const injectLiveReloadScript = (html) => {
+	let body_end = html.lastIndexOf('</body>');
+	return body_end === -1
+		? html + LIVE_RELOAD_SCRIPT
+		: html.slice(0, body_end) + LIVE_RELOAD_SCRIPT + html.slice(body_end);
+};
+
+/**
+ * Starts a small HTTP server that serves our HTML report, and reloads it in any open
+ * browser tabs each time the report is updated.
+ * @param {Object} [opt]
+ * @param {Number} [opt.port=5050]
+ * @param {String} [opt.host="localhost"]
+ * @returns {Promise<{ url: String, update: Function, close: Function }>} Call `update(html)` with each new report
+ */
+const startReportServer = ({ port = DEFAULT_REPORT_SERVER_PORT, host = 'localhost' } = {}) => {
+	let report = '';
+	let clients = new Set();
+
+	let server = http.createServer((req, res) => {
+		if (req.url === EVENTS_PATH) {
+			res.writeHead(200, {
+				'Content-Type': 'text/event-stream',
+				'Cache-Control': 'no-cache',
+				'Connection': 'keep-alive',
+			});
+			res.write('\n');
+			clients.add(res);
+			req.on('close', () => clients.delete(res));
+			return;
+		}
+
+		if (req.url !== '/') {
+			res.writeHead(404, { 'Content-Type': 'text/plain' });
+			res.end('Not found');
+			return;
+		}
+
+		res.writeHead(200, {
+			'Content-Type': 'text/html; charset=utf-8',
+			'Cache-Control': 'no-cache',
+		});
+		res.end(injectLiveReloadScript(report));
+	});
+
+	return new Promise((resolve, reject) => {
+		server.once('error', reject);
+		server.listen(port, host, () => {
+			resolve({
+				url: `http://${host}:${server.address().port}/`,
+				update(html) {
+					report = html;
+					for (let client of clients) {
+						client.write('event: reload\ndata: \n\n');
+					}
+				},
+				close() {
+					for (let client of clients) {
+						client.end();
+					}
+					return new Promise((resolve_close) => server.close(resolve_close));
+				},
+			});
+		});
+	});
+};
+
+module.exports = {
+	DEFAULT_REPORT_SERVER_PORT,
+	startReportServer,
+};
@@ -0,0 +1,30 @@
+const path = require('path');
+
+/**
+ * Resolves a relative path within a directory, making sure it can't escape that directory.
+ * Our relative paths can come from remote URLs, or a snapshot's manifest, so a ".." in
+ * one must not let us read or write files anywhere else.
+ * @example resolveWithin('.ddp-cache', 'blog/index.html') // "/cwd/.ddp-cache/blog/index.html"
+ * @param {String} directory
+ * @param {String} relative_path
+ * @returns {String} The absolute path
+ * @throws {Error} When the path resolves to somewhere outside of the directory
+ */
+const resolveWithin = (directory, relative_path) => {
+	let resolved_directory = path.resolve(directory);
+	let resolved_path = path.resolve(resolved_directory, relative_path);
+	let relative = path.relative(resolved_directory, resolved_path);
+
+	if (
+		!relative ||
+		relative === '..' ||
+		relative.startsWith(`..${path.sep}`) ||
+		path.isAbsolute(relative)
+	) {
+		throw new Error(`The path "${relative_path}" is outside of "${directory}".`);
+	}
+
+	return resolved_path;
+};
+
+module.exports = resolveWithin;
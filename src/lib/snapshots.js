@@ -0,0 +1,165 @@
+const path = require('path');
+const fs = require('fs-extra');
+const resolveWithin = require('./resolve-within');
+const { version } = require('../../package.json');
+
+const DEFAULT_SNAPSHOT_DIRECTORY = '.ddp-snapshots';
+const SNAPSHOT_MANIFEST = 'manifest.json';
+const SNAPSHOT_PAGES_DIRECTORY = 'pages';
+const LATEST_SNAPSHOT = 'latest';
+
+/**
+ * Creates an ID for a new snapshot from its date. These sort in the order they were taken,
+ * and are safe to use as directory names, e.g. "2020-10-18T09-30-00-000Z".
+ * @param {Date} [date]
+ * @returns {String}
+ */
+const createSnapshotId = (date = new Date()) => date.toISOString().replace(/[:.]/g, '-');
+
+/**
+ * Lists the snapshots within a directory, oldest first.
+ * @param {String} [snapshot_directory]
+ * @returns {Promise<Array<String>>} The snapshot IDs
+ */
+const listSnapshots = async (snapshot_directory = DEFAULT_SNAPSHOT_DIRECTORY) => {
+	if (!(await fs.exists(snapshot_directory))) {
+		return [];
+	}
+
+	let ids = [];
+	for (let entry of await fs.readdir(snapshot_directory)) {
+		if (await fs.exists(path.join(snapshot_directory, entry, SNAPSHOT_MANIFEST))) {
+			ids.push(entry);
+		}
+	}
+
+	return ids.sort();
+};
+
+/**
+ * Resolves a reference to a snapshot into its directory. A reference is either
+ * "latest", the ID of a snapshot within `snapshot_directory`, or a path to a snapshot.
+ * @param {String} ref
+ * @param {String} [snapshot_directory]
+ * @returns {Promise<String>}
+ */
+const resolveSnapshot = async (ref, snapshot_directory = DEFAULT_SNAPSHOT_DIRECTORY) => {
+	let ids = await listSnapshots(snapshot_directory);
+
+	let snapshot_path;
+	if (ref === LATEST_SNAPSHOT) {
+		if (!ids.length) {
+			throw new Error(`There are no snapshots in "${snapshot_directory}".`);
+		}
+		snapshot_path = path.join(snapshot_directory, ids[ids.length - 1]);
+	} else if (ids.includes(ref)) {
+		snapshot_path = path.join(snapshot_directory, ref);
+	} else {
+		snapshot_path = ref;
+	}
+
+	if (!(await fs.exists(path.join(snapshot_path, SNAPSHOT_MANIFEST)))) {
+		let error = new Error(`The snapshot "${ref}" does not exist.`);
+		if (ids.length) {
+			error.suggestions = [`Available snapshots: ${[LATEST_SNAPSHOT, ...ids].join(', ')}`];
+		}
+		throw error;
+	}
+
+	return snapshot_path;
+};
+
+/**
+ * Saves the prepared remote HTML for a list of pages, along with a manifest of how each
+ * page responded and how its HTML was prepared.
+ * @param {String} snapshot_path - The new snapshot's directory
+ * @param {Object} snapshot
+ * @param {String} snapshot.domain
+ * @param {Array<Object>} snapshot.pages - Page statuses, each with the prepared `html` (or `null`)
+ * @param {Object} [snapshot.clean_config]
+ * @param {Object} [snapshot.normalize_urls] - How URLs were normalized, if they were
+ * @param {Boolean} [snapshot.text_only=false]
+ * @param {Date} [snapshot.date]
+ * @returns {Promise<Object>} The manifest
+ */
+const writeSnapshot = async (
+	snapshot_path,
+	{
+		domain,
+		pages,
+		clean_config = null,
+		normalize_urls = null,
+		text_only = false,
+		date = new Date(),
+	}
+) => {
+	if (await fs.exists(path.join(snapshot_path, SNAPSHOT_MANIFEST))) {
+		throw new Error(`A snapshot already exists at "${snapshot_path}".`);
+	}
+
+	let manifest = {
+		version,
+		createdAt: date.toISOString(),
+		domain,
+		cleanConfig: clean_config,
+		normalizeUrls: normalize_urls,
+		textOnly: text_only,
+		pages: [],
+	};
+
+	for (let { html, ...page_status } of pages) {
+		let { url, path: page_path, status, state, redirectedTo, error } = page_status;
+		let saved = html != null;
+		if (saved) {
+			let file_path = resolveWithin(
+				path.join(snapshot_path, SNAPSHOT_PAGES_DIRECTORY),
+				page_path
+			);
+			await fs.ensureDir(path.dirname(file_path));
+			await fs.writeFile(file_path, html);
+		}
+
+		manifest.pages.push({ path: page_path, url, status, state, redirectedTo, error, saved });
+	}
+
+	await fs.writeJson(path.join(snapshot_path, SNAPSHOT_MANIFEST), manifest, { spaces: 2 });
+
+	return manifest;
+};
+
+/**
+ * @param {String} snapshot_path
+ * @returns {Promise<Object>}
+ */
+const readSnapshotManifest = (snapshot_path) =>
+	fs.readJson(path.join(snapshot_path, SNAPSHOT_MANIFEST));
+
+/**
+ * Reads a snapshot's manifest, along with the saved HTML for each of its pages.
+ * @param {String} snapshot_path
+ * @returns {Promise<Object>} The manifest, with `html` (or `null`) on each of its pages
+ */
+const readSnapshot = async (snapshot_path) => {
+	let manifest = await readSnapshotManifest(snapshot_path);
+	for (let page of manifest.pages) {
+		page.html = page.saved
+			? await fs.readFile(
+					resolveWithin(path.join(snapshot_path, SNAPSHOT_PAGES_DIRECTORY), page.path),
+					'utf8'
+			  )
+			: null;
+	}
+
+	return manifest;
+};
+
+module.exports = {
+	DEFAULT_SNAPSHOT_DIRECTORY,
+	LATEST_SNAPSHOT,
+	createSnapshotId,
+	listSnapshots,
+	resolveSnapshot,
+	writeSnapshot,
+	readSnapshotManifest,
+	readSnapshot,
+};
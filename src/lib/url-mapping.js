@@ -0,0 +1,160 @@
+const isPlainObject = require('./is-plain-object');
+
+const TRAILING_SLASH_POLICIES = ['preserve', 'always', 'never'];
+
+/**
+ * Checks the shape of our URL mapping rules.
+ * @param {Object} url_map
+ * @returns {Array<String>} A list of errors, empty when the rules are valid
+ */
+const validateUrlMap = (url_map) => {
+	if (!isPlainObject(url_map)) {
+		return ['The URL map must be a plain object.'];
+	}
+
+	let errors = [];
+	let { prefix, stripExtension, trailingSlash, rewrites, overrides } = url_map;
+	if (prefix != null && typeof prefix !== 'string') {
+		errors.push(`"prefix" must be a String.`);
+	}
+	if (
+		stripExtension != null &&
+		typeof stripExtension !== 'boolean' &&
+		typeof stripExtension !== 'string' &&
+		!Array.isArray(stripExtension)
+	) {
+		errors.push(`"stripExtension" must be a Boolean, a String, or an Array of Strings.`);
+	}
+	if (trailingSlash != null && !TRAILING_SLASH_POLICIES.includes(trailingSlash)) {
+		errors.push(`"trailingSlash" must be one of ${TRAILING_SLASH_POLICIES.join(', ')}.`);
+	}
+	if (rewrites != null) {
+		if (!Array.isArray(rewrites)) {
+			errors.push(`"rewrites" must be an Array.`);
+		} else {
+			rewrites.forEach((rewrite, index) => {
+				if (!isPlainObject(rewrite) || typeof rewrite.pattern !== 'string') {
+					errors.push(`"rewrites[${index}].pattern" must be a String.`);
+					return;
+				}
+				try {
+					new RegExp(rewrite.pattern, rewrite.flags);
+				} catch (e) {
+					errors.push(
+						`"rewrites[${index}]" is not a valid regular expression: ${e.message}`
+					);
+				}
+			});
+		}
+	}
+	if (overrides != null && !isPlainObject(overrides)) {
+		errors.push(`"overrides" must be a plain object of file paths to URLs.`);
+	}
+
+	return errors;
+};
+
+/**
+ * Creates a function that maps a local file path to its remote URL.
+ *
+ * With no rules, `about/index.html` maps to `/about/` and `about.html` maps to
+ * `/about.html`, which assumes the remote site mirrors our build directory exactly.
+ *
+ * Rules are applied in the following order:
+ *
+ * 1. `overrides` - An explicit map of file paths (relative to the build directory) to
+ *    URLs. Overridden files skip all other rules. Values can be paths or full URLs.
+ * 2. `stripExtension` - When `true`, strips `.html` from the path. A String or an Array
+ *    of Strings can be passed to strip other extensions.
+ * 3. `prefix` - A path to prepend, e.g. `/en-us`.
+ * 4. `rewrites` - An Array of `{ pattern, flags, replacement }` regex replacements, run in order.
+ * 5. `trailingSlash` - One of "preserve" (the default), "always" or "never". "always" skips
+ *    paths that end in a file extension.
+ *
+ * @param {String} root_domain
+ * @param {Object} [url_map]
+ * @returns {Function<String>} Called with a file path relative to the build directory, returns the full URL
+ */
+const createUrlMapper = (root_domain, url_map = {}) => {
+	let {
+		prefix = '',
+		stripExtension = false,
+		trailingSlash = 'preserve',
+		rewrites = [],
+		overrides = {},
+	} = url_map;
+
+	let extensions_to_strip = [];
+	if (stripExtension === true) {
+		extensions_to_strip = ['.html'];
+	} else if (stripExtension) {
+		extensions_to_strip = [].concat(stripExtension);
+	}
+	extensions_to_strip = extensions_to_strip.map((ext) => (ext.startsWith('.') ? ext : `.${ext}`));
+
+	// Normalize to `/en-us`, with no trailing slash
+	prefix = prefix.replace(/^\/*/, '/').replace(/\/+$/, '');
+
+	let compiled_rewrites = rewrites.map(({ pattern, flags, replacement = '' }) => ({
+		re: new RegExp(pattern, flags),
+		replacement,
+	}));
+
+	// Normalize override keys so `./about.html` and `about.html` both match
+	let normalized_overrides = new Map();
+	for (let [file_path, url] of Object.entries(overrides)) {
+		normalized_overrides.set(
+			file_path
+				.split('\\')
+				.join('/')
+				.replace(/^\.?\/+/, ''),
+			url
+		);
+	}
+
+	const toFullUrl = (url) => (/^https?:\/\//i.test(url) ? url : `${root_domain}${url}`);
+
+	return (file_path) => {
+		file_path = file_path.split('\\').join('/');
+
+		if (normalized_overrides.has(file_path)) {
+			let override = String(normalized_overrides.get(file_path));
+			if (!override.startsWith('/') && !/^https?:\/\//i.test(override)) {
+				override = `/${override}`;
+			}
+			return toFullUrl(override);
+		}
+
+		let url = `/${file_path}`.replace(/(^|\/)index\.html$/i, '$1');
+
+		for (let ext of extensions_to_strip) {
+			if (url.toLowerCase().endsWith(ext.toLowerCase())) {
+				url = url.slice(0, -ext.length);
+				break;
+			}
+		}
+
+		url = `${prefix}${url}`;
+
+		for (let { re, replacement } of compiled_rewrites) {
+			url = url.replace(re, replacement);
+		}
+
+		if (trailingSlash === 'always') {
+			let last_segment = url.slice(url.lastIndexOf('/') + 1);
+			if (!url.endsWith('/') && !last_segment.includes('.')) {
+				url += '/';
+			}
+		} else if (trailingSlash === 'never' && url !== '/') {
+			url = url.replace(/\/+$/, '');
+		}
+
+		return toFullUrl(url);
+	};
+};
+
+module.exports = {
+	TRAILING_SLASH_POLICIES,
+	validateUrlMap,
+	createUrlMapper,
+};
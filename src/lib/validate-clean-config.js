@@ -0,0 +1,230 @@
+const Ajv = require('ajv');
+const { JSDOM } = require('jsdom');
+const isPlainObject = require('./is-plain-object');
+const clean_config_schema = require('../clean-config.schema.json');
+
+// Only suggest a known key when an unknown one is this close to it, e.g. "selecter"
+const MAX_SUGGESTION_DISTANCE = 2;
+
+const TYPE_NAMES = {
+	object: 'plain object',
+	array: 'Array',
+	string: 'String',
+	boolean: 'Boolean',
+};
+
+let validateSchema;
+let selector_document;
+
+/**
+ * Counts the single character edits needed to turn one String into another.
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+const levenshtein = (a, b) => {
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+	for (let i = 1; i <= a.length; i++) {
+		let current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			current[j] = Math.min(
+				previous[j] + 1,
+				current[j - 1] + 1,
+				previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+			);
+		}
+		previous = current;
+	}
+
+	return previous[b.length];
+};
+
+/**
+ * Turns an ajv `dataPath` into the paths we use in our messages, e.g. "elements[0].selector".
+ * @param {String} data_path
+ * @param {String} [key] - A key within `data_path`
+ * @returns {String}
+ */
+const formatPath = (data_path, key) =>
+	[data_path.replace(/^\./, ''), key].filter(Boolean).join('.') || 'clean config';
+
+/**
+ * @param {Object} error - An ajv error, created with the `verbose` option
+ * @returns {String}
+ */
+const formatSchemaError = (error) => {
+	let { keyword, dataPath, params, parentSchema } = error;
+	switch (keyword) {
+		case 'additionalProperties': {
+			let key = params.additionalProperty;
+			let known_keys = Object.keys((parentSchema && parentSchema.properties) || {});
+			let [suggestion] = known_keys
+				.map((known_key) => ({
+					known_key,
+					distance: levenshtein(key.toLowerCase(), known_key.toLowerCase()),
+				}))
+				.filter(({ distance }) => distance <= MAX_SUGGESTION_DISTANCE)
+				.sort((a, b) => a.distance - b.distance);
+			return `"${formatPath(dataPath, key)}" is not a known key.${
+				suggestion ? ` Did you mean "${suggestion.known_key}"?` : ''
+			}`;
+		}
+		case 'required':
+			return `"${formatPath(dataPath, params.missingProperty)}" is required.`;
+		case 'enum':
+			return `"${formatPath(dataPath)}" must be one of ${params.allowedValues.join(', ')}.`;
+		case 'type': {
+			let type_name = TYPE_NAMES[params.type] || params.type;
+			let article = /^[aeiou]/i.test(type_name) ? 'an' : 'a';
+			return `"${formatPath(dataPath)}" must be ${article} ${type_name}.`;
+		}
+		case 'minLength':
+			return `"${formatPath(dataPath)}" can't be empty.`;
+		case 'anyOf':
+			return `"${formatPath(
+				dataPath
+			)}" must be a selector String, a plain object, or an Array of plain objects.`;
+		default:
+			return `"${formatPath(dataPath)}" ${error.message}.`;
+	}
+};
+
+/**
+ * Formats the errors from validating against our schema. An `anyOf` (only used for "scope")
+ * also reports why each of its branches failed, so we drop that noise and only keep the
+ * `anyOf` error itself when nothing more specific was found.
+ * @param {Array<Object>} errors - ajv errors
+ * @returns {Array<String>}
+ */
+const formatSchemaErrors = (errors) => {
+	let any_of_paths = errors
+		.filter(({ keyword }) => keyword === 'anyOf')
+		.map(({ dataPath }) => dataPath);
+	let specific_errors = errors.filter(
+		({ keyword, dataPath }) =>
+			keyword !== 'anyOf' && !(keyword === 'type' && any_of_paths.includes(dataPath))
+	);
+
+	return errors
+		.filter(
+			(error) =>
+				specific_errors.includes(error) ||
+				(error.keyword === 'anyOf' &&
+					!specific_errors.some(({ dataPath }) => dataPath.startsWith(error.dataPath)))
+		)
+		.map(formatSchemaError);
+};
+
+/**
+ * @param {String} selector
+ * @returns {String|undefined} Why the selector is invalid, if it is
+ */
+const checkSelector = (selector) => {
+	if (!selector_document) {
+		selector_document = new JSDOM('').window.document;
+	}
+	try {
+		selector_document.querySelector(selector);
+	} catch (e) {
+		return e.message;
+	}
+};
+
+/**
+ * @param {String} pattern
+ * @param {String} [flags]
+ * @returns {String|undefined} Why the regular expression is invalid, if it is
+ */
+const checkRegExp = (pattern, flags) => {
+	try {
+		new RegExp(pattern, flags || undefined);
+	} catch (e) {
+		return e.message;
+	}
+};
+
+/**
+ * Checks the selectors and regular expressions in a clean config, which our schema can
+ * only confirm are Strings. Anything the schema already rejected is skipped.
+ * @param {Object} clean_config
+ * @returns {Array<String>}
+ */
+const validateSelectorsAndRegExps = (clean_config) => {
+	let errors = [];
+	let addSelectorError = (path, selector) => {
+		if (typeof selector !== 'string' || !selector) {
+			return;
+		}
+		let reason = checkSelector(selector);
+		if (reason) {
+			errors.push(`"${path}" is not a valid selector: ${reason}`);
+		}
+	};
+	let addRegExpError = (path, pattern, flags) => {
+		if (typeof pattern !== 'string' || (flags != null && typeof flags !== 'string')) {
+			return;
+		}
+		let reason = checkRegExp(pattern, flags);
+		if (reason) {
+			errors.push(`"${path}" is not a valid regular expression: ${reason}`);
+		}
+	};
+
+	for (let key of ['elements', 'attributes', 'replacements']) {
+		let rules = clean_config[key];
+		if (!Array.isArray(rules)) {
+			continue;
+		}
+
+		rules.forEach((rule, index) => {
+			if (!isPlainObject(rule)) {
+				return;
+			}
+			let path = `${key}[${index}]`;
+			addSelectorError(`${path}.selector`, rule.selector);
+			addRegExpError(`${path}.containsRegex`, rule.containsRegex, rule.containsRegexFlags);
+			addRegExpError(`${path}.regex`, rule.regex, rule.regexFlags);
+			addRegExpError(`${path}.urlRegex`, rule.urlRegex, rule.urlRegexFlags);
+		});
+	}
+
+	let { scope } = clean_config;
+	if (typeof scope === 'string') {
+		addSelectorError('scope', scope);
+	} else if (scope != null) {
+		let scopes = Array.isArray(scope) ? scope : [scope];
+		scopes.forEach((scope_rule, index) => {
+			if (!isPlainObject(scope_rule)) {
+				return;
+			}
+			let path = Array.isArray(scope) ? `scope[${index}]` : 'scope';
+			for (let selector_key of ['selector', 'local', 'remote']) {
+				addSelectorError(`${path}.${selector_key}`, scope_rule[selector_key]);
+			}
+			addRegExpError(`${path}.urlRegex`, scope_rule.urlRegex, scope_rule.urlRegexFlags);
+		});
+	}
+
+	return errors;
+};
+
+/**
+ * Validates a clean config against `clean-config.schema.json`, then checks that its
+ * selectors and regular expressions are valid too.
+ * @param {Any} clean_config
+ * @returns {Array<String>} Errors found, with the path to each problem, e.g. `"elements[0].selector" is required.`
+ */
+const validateCleanConfig = (clean_config) => {
+	if (!isPlainObject(clean_config)) {
+		return ['The clean config must be a plain object.'];
+	}
+
+	if (!validateSchema) {
+		validateSchema = new Ajv({ allErrors: true, verbose: true }).compile(clean_config_schema);
+	}
+
+	let errors = validateSchema(clean_config) ? [] : formatSchemaErrors(validateSchema.errors);
+	return errors.concat(validateSelectorsAndRegExps(clean_config));
+};
+
+module.exports = validateCleanConfig;
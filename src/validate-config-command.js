@@ -0,0 +1,84 @@
+const chalk = require('chalk');
+const { Command, flags } = require('@oclif/command');
+const fs = require('fs-extra');
+const { EXIT_CODES } = require('./lib/ci-gate');
+const readJsonFlag = require('./lib/read-json-flag');
+const readStdin = require('./lib/read-stdin-stream');
+const validateCleanConfig = require('./lib/validate-clean-config');
+
+class ValidateConfigCommand extends Command {
+	async run() {
+		let { argv: files } = this.parse(ValidateConfigCommand);
+		if (!files.length) {
+			this.error(`No clean config file passed.`, {
+				suggestions: [`Run "ddp validate-config clean-config.json"`],
+			});
+		}
+
+		// Only read stdin when asked to, since there is nothing else to wait on
+		const piped_in_string = files.includes('stdin') ? await readStdin() : '';
+
+		let invalid_count = 0;
+		for (let file of files) {
+			let errors;
+			if (file !== 'stdin' && !(await fs.exists(file))) {
+				errors = [`The file does not exist.`];
+			} else {
+				try {
+					let clean_config = await readJsonFlag(file, {
+						flag_name: 'file',
+						piped_in_string,
+					});
+					errors = validateCleanConfig(clean_config);
+				} catch (e) {
+					errors = [[e.message, e.code].filter(Boolean).join(' ')];
+				}
+			}
+
+			if (errors.length) {
+				invalid_count++;
+				this.log(`${chalk.red('✖')} ${file}`);
+				for (let error of errors) {
+					this.log(`    ${error}`);
+				}
+			} else {
+				this.log(`${chalk.green('✔')} ${file}`);
+			}
+		}
+
+		if (invalid_count) {
+			this.log(
+				`\n${invalid_count} of ${files.length} clean config${
+					files.length === 1 ? '' : 's'
+				} ${invalid_count === 1 ? 'is' : 'are'} invalid.`
+			);
+			this.exit(EXIT_CODES.INVALID_CLEAN_CONFIG);
+		}
+	}
+}
+
+ValidateConfigCommand.description = `Validates clean config files against the clean config JSON Schema, without comparing anything.
+
+Reports every unknown key (with a suggestion when it looks like a typo), missing or mistyped value, invalid selector and invalid regular expression, along with its path in the file. Exits with 5 when any file is invalid, so it can be run in CI on committed configs.`;
+
+ValidateConfigCommand.usage = `validate-config <file>...`;
+ValidateConfigCommand.examples = [
+	`$ ddp validate-config clean-config.json`,
+	`$ ddp validate-config configs/*.json`,
+	`$ cat clean-config.json | ddp validate-config stdin`,
+];
+
+ValidateConfigCommand.strict = false;
+ValidateConfigCommand.args = [
+	{
+		name: 'file',
+		required: false,
+		description: `One or more clean config JSON files to validate, or "stdin" to read one that is piped in.`,
+	},
+];
+
+ValidateConfigCommand.flags = {
+	help: flags.help({ char: 'h', description: 'Show CLI help.' }),
+};
+
+module.exports = ValidateConfigCommand;
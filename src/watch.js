@@ -0,0 +1,190 @@
+const path = require('path');
+const chokidar = require('chokidar');
+const fs = require('fs-extra');
+const { DIFF_ENGINE_GNU, compare } = require('./compare');
+const { SIDES } = require('./lib/clean-rule-filters');
+const { createUnifiedDiff, splitUnifiedDiff } = require('./lib/create-unified-diff');
+const { createUnifiedDiffWithGnuDiff } = require('./lib/gnu-diff');
+const { getPageResults, getAssetResults, summarizePageResults } = require('./lib/page-results');
+const { PAGE_STATES } = require('./lib/page-status');
+const { prepareHtmlForUsefulComparisons } = require('./lib/prepare-html-for-useful-comparisons');
+
+/**
+ * Our diffs use forward slashes, regardless of the platform.
+ * @param {String} page_path
+ * @returns {String}
+ */
+const toDiffPath = (page_path) => String(page_path).split('\\').join('/');
+
+/**
+ * Compares our build directory against a remote domain, then keeps watching the build
+ * directory. When its HTML files change, only those pages are re-prepared and re-diff'd,
+ * against the remote HTML we already hold in memory. New files only fetch their own
+ * remote URL, and deleted files are dropped from the comparison.
+ *
+ * @param {Object} options - The same options as `compare()`, plus the following
+ * @param {Function} [options.onUpdate] - Called with `(result, { changed, added, removed })` after the first comparison, and after each update
+ * @param {Function} [options.onError] - Called with anything thrown while updating, which may not be an `Error`. We keep watching afterwards
+ * @param {Number} [options.debounce=200] - How long, in milliseconds, to wait for more changes before updating
+ * @returns {Promise<{ result: Object, close: Function }>} The first result, and a function that stops watching
+ */
+const watch = async ({
+	onUpdate = () => {},
+	onError = () => {},
+	debounce = 200,
+	...options
+} = {}) => {
+	if (options.baseDomain || options.fromSnapshot || options.toSnapshot) {
+		throw new Error(
+			`Watch mode compares the build directory, so it can't be used with a base domain or snapshots.`
+		);
+	}
+
+	let build_directory = options.buildDir || 'build';
+	let result = await compare(Object.assign({}, options, { keepPreparedHtml: true }));
+	let patches = splitUnifiedDiff(result.diff);
+	let diff_labels = result.labels || {};
+
+	const diffFiles = (files) =>
+		result.diffEngine === DIFF_ENGINE_GNU
+			? createUnifiedDiffWithGnuDiff(files, { labels: diff_labels })
+			: createUnifiedDiff(files, { labels: diff_labels });
+
+	/**
+	 * @param {Set<String>} changed_paths - Paths relative to the build directory
+	 * @returns {Promise<Object>} The `changed`, `added` and `removed` paths
+	 */
+	const update = async (changed_paths) => {
+		let started_at = Date.now();
+		let page_statuses = [...result.pageStatuses];
+		let prepared = [...result.prepared];
+		let changes = { changed: [], added: [], removed: [] };
+
+		for (let page_path of changed_paths) {
+			let index = page_statuses.findIndex((page_status) => page_status.path === page_path);
+			let file_path = path.join(build_directory, page_path);
+			if (!(await fs.exists(file_path))) {
+				if (index !== -1) {
+					page_statuses.splice(index, 1);
+					prepared.splice(index, 1);
+					patches.delete(toDiffPath(page_path));
+					changes.removed.push(page_path);
+				}
+				continue;
+			}
+
+			if (index === -1) {
+				changes.added.push(page_path);
+				continue;
+			}
+
+			let page_status = Object.assign({}, page_statuses[index]);
+			let { remote } = prepared[index];
+			let local = prepareHtmlForUsefulComparisons(await fs.readFile(file_path, 'utf8'), {
+				tidy_on_bad_html: true,
+				url: page_status.url,
+				side: SIDES.LOCAL,
+				clean_config: result.cleanConfig,
+				normalize_urls: result.normalizeUrls,
+				text_only: options.textOnly,
+				include_alt_text: options.includeAltText,
+				quiet: options.quiet,
+			});
+
+			// A page we discovered remotely now exists locally too
+			if (page_status.state === PAGE_STATES.ONLY_IN_PRODUCTION) {
+				page_status.state = PAGE_STATES.OK;
+			}
+
+			// Pages we couldn't load remotely aren't diff'd, the same as in `compare()`
+			let can_diff =
+				remote != null || page_status.state === PAGE_STATES.MISSING_IN_PRODUCTION;
+			let patch = can_diff ? await diffFiles([{ path: page_path, local, remote }]) : '';
+
+			page_statuses[index] = page_status;
+			prepared[index] = { path: page_path, local, remote };
+			patches.set(toDiffPath(page_path), patch);
+			changes.changed.push(page_path);
+		}
+
+		// New pages are the only ones we need to request
+		if (changes.added.length) {
+			let added_result = await compare(
+				Object.assign({}, options, {
+					paths: changes.added,
+					keepPreparedHtml: true,
+					saveSnapshot: undefined,
+					sitemap: false,
+					crawlDepth: 0,
+					assets: false,
+					auditLinks: false,
+				})
+			);
+			page_statuses.push(...added_result.pageStatuses);
+			prepared.push(...added_result.prepared);
+			for (let [page_path, patch] of splitUnifiedDiff(added_result.diff)) {
+				patches.set(page_path, patch);
+			}
+		}
+
+		// Recursive `diff` walks its directories in sorted order, so do the same
+		let diff = [...patches.keys()]
+			.sort()
+			.map((page_path) => patches.get(page_path))
+			.join('');
+		let pages = getPageResults(diff, page_statuses);
+
+		result = Object.assign({}, result, {
+			pages,
+			summary: summarizePageResults(pages),
+			pageStatuses: page_statuses,
+			assets: result.assetStatuses ? getAssetResults(diff, result.assetStatuses) : undefined,
+			prepared,
+			diff,
+			timings: { totalMs: Date.now() - started_at },
+		});
+
+		return changes;
+	};
+
+	await onUpdate(result, { changed: [], added: [], removed: [] });
+
+	let pending_paths = new Set();
+	let timer = null;
+	let updating = Promise.resolve();
+
+	const queueUpdate = (file_path) => {
+		if (!/\.html$/i.test(file_path)) {
+			return;
+		}
+
+		pending_paths.add(path.relative(build_directory, file_path));
+		clearTimeout(timer);
+		timer = setTimeout(() => {
+			let changed_paths = pending_paths;
+			pending_paths = new Set();
+
+			// Updates run one at a time, so a slow update is never overwritten by an older one
+			updating = updating
+				.then(() => update(changed_paths))
+				.then((changes) => onUpdate(result, changes))
+				.catch((error) => onError(error));
+		}, debounce);
+	};
+
+	let watcher = chokidar.watch(build_directory, { ignoreInitial: true });
+	watcher.on('add', queueUpdate).on('change', queueUpdate).on('unlink', queueUpdate);
+	watcher.on('error', (error) => onError(error));
+
+	return {
+		result,
+		close: () => {
+			clearTimeout(timer);
+			return watcher.close();
+		},
+	};
+};
+
+module.exports = {
+	watch,
+};
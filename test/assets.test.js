@@ -0,0 +1,80 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ASSET_STATES, getAssetPath, compareAssets } = require('../src/lib/assets');
+
+describe('getAssetPath', () => {
+	it('drops fingerprints, ".min" and query strings', () => {
+		let page_url = 'https://example.com/';
+		assert.strictEqual(
+			getAssetPath('https://example.com/css/main.3f2a9c1b.css?v=2', page_url),
+			'css/main.css'
+		);
+		assert.strictEqual(
+			getAssetPath('https://example.com/css/main-9b8c7d6e.min.css', page_url),
+			'css/main.css'
+		);
+	});
+
+	it('keeps assets from other origins apart by their host', () => {
+		let page_url = 'https://example.com/';
+		assert.strictEqual(getAssetPath('https://cdn.a.com/lib.js', page_url), 'cdn.a.com/lib.js');
+		assert.notStrictEqual(
+			getAssetPath('https://cdn.a.com/lib.js', page_url),
+			getAssetPath('https://cdn.b.com/lib.js', page_url)
+		);
+	});
+
+	it("can't point outside of its directory", () => {
+		assert.strictEqual(
+			getAssetPath('https://example.com/..%2F..%2Fetc/passwd.js', 'https://example.com/'),
+			'..%2F..%2Fetc/passwd.js'
+		);
+	});
+});
+
+describe('compareAssets', () => {
+	let build_directory;
+
+	before(async () => {
+		build_directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ddp-assets-'));
+		await fs.outputFile(path.join(build_directory, 'app.js'), 'let a=1;');
+	});
+
+	after(() => fs.remove(build_directory));
+
+	const compare = (script_src) =>
+		compareAssets({
+			pages: [
+				{
+					path: 'index.html',
+					local: {
+						html: `<script src="${script_src}"></script>`,
+						url: 'https://example.com/',
+					},
+					remote: {
+						html: `<script src="${script_src}"></script>`,
+						url: 'https://example.com/',
+					},
+				},
+			],
+			fetchAsset: async () => ({ content: 'let a=2;', status: 200, error: null }),
+			build_directory,
+			local_origin: 'https://example.com',
+		});
+
+	it('reads local assets from the build directory', async () => {
+		let { files, asset_statuses } = await compare('/app.js');
+		assert.strictEqual(asset_statuses[0].state, ASSET_STATES.OK);
+		assert.deepStrictEqual(
+			files.map(({ path: file_path, local, remote }) => [file_path, local, remote]),
+			[['app.js', 'let a = 1;\n', 'let a = 2;\n']]
+		);
+	});
+
+	it("doesn't read local assets from outside of the build directory", async () => {
+		let { asset_statuses } = await compare('/..%2F..%2Fapp.js');
+		assert.strictEqual(asset_statuses[0].state, ASSET_STATES.FETCH_FAILED);
+	});
+});
@@ -0,0 +1,66 @@
+const assert = require('assert');
+const { Response } = require('node-fetch');
+const { LINK_STATES, getLinkReferences, checkLink } = require('../src/lib/audit-links');
+
+/**
+ * A fake `fetch` that responds with the status and `Location` we set for each URL.
+ */
+const createFakeFetch = (routes) => {
+	let fakeFetch = async (url, options) => {
+		fakeFetch.requests.push({ url, authorization: options.headers.Authorization });
+		let [status, location] = routes[url] || [404];
+		return new Response('', { status, headers: location ? { Location: location } : {} });
+	};
+	fakeFetch.requests = [];
+	return fakeFetch;
+};
+
+const withAuth = (fetch) => ({
+	fetch,
+	retries: 0,
+	fetch_options: () => ({ headers: { Authorization: 'Basic secret' } }),
+});
+
+describe('getLinkReferences', () => {
+	it('reads each srcset candidate whole, even when its URL has commas', () => {
+		assert.deepStrictEqual(
+			getLinkReferences(
+				'<img src="/a.jpg#top" srcset="/img.jpg?w=1,2 2x, data:image/png;base64,AA== 3x">',
+				'https://example.com/blog/'
+			),
+			['https://example.com/a.jpg', 'https://example.com/img.jpg?w=1,2']
+		);
+	});
+});
+
+describe('checkLink', () => {
+	it('follows redirects within the same origin', async () => {
+		let fetch = createFakeFetch({
+			'https://example.com/old/': [301, '/new/'],
+			'https://example.com/new/': [200],
+		});
+		let check = await checkLink('https://example.com/old/', withAuth(fetch));
+		assert.strictEqual(check.state, LINK_STATES.REDIRECTED);
+		assert.strictEqual(check.finalUrl, 'https://example.com/new/');
+		assert.deepStrictEqual(check.redirects, [{ url: 'https://example.com/old/', status: 301 }]);
+	});
+
+	it("doesn't follow redirects to another origin", async () => {
+		let fetch = createFakeFetch({
+			'https://example.com/out/': [302, 'https://other.example.net/landing/'],
+		});
+		let check = await checkLink('https://example.com/out/', withAuth(fetch));
+		assert.strictEqual(check.state, LINK_STATES.REDIRECTED);
+		assert.strictEqual(check.finalUrl, 'https://other.example.net/landing/');
+		assert.deepStrictEqual(
+			fetch.requests.map(({ url }) => url),
+			['https://example.com/out/']
+		);
+	});
+
+	it('reports broken links', async () => {
+		let check = await checkLink('https://example.com/gone/', withAuth(createFakeFetch({})));
+		assert.strictEqual(check.state, LINK_STATES.BROKEN);
+		assert.strictEqual(check.status, 404);
+	});
+});
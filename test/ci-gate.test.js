@@ -0,0 +1,63 @@
+const assert = require('assert');
+const { EXIT_CODES, checkThresholds } = require('../src/lib/ci-gate');
+const { PAGE_STATES } = require('../src/lib/page-status');
+
+const page = (url, { added = 0, removed = 0, state = PAGE_STATES.OK } = {}) => ({
+	url,
+	state,
+	added,
+	removed,
+	changed: added + removed > 0,
+});
+
+describe('checkThresholds', () => {
+	it('passes when nothing changed', () => {
+		let pages = [page('/'), page('/about/')];
+		assert.deepStrictEqual(checkThresholds(pages), { exit_code: EXIT_CODES.OK, failures: [] });
+	});
+
+	it('fails on any difference without thresholds', () => {
+		let { exit_code, failures } = checkThresholds([page('/', { added: 1 }), page('/about/')]);
+		assert.strictEqual(exit_code, EXIT_CODES.DIFFERENCES_FOUND);
+		assert.deepStrictEqual(failures, ['1 page(s) have differences']);
+	});
+
+	it('passes differences within the thresholds', () => {
+		let pages = [page('/', { added: 2, removed: 1 }), page('/about/', { added: 1 })];
+		let { exit_code } = checkThresholds(pages, { max_changed_pages: 2, max_changed_lines: 3 });
+		assert.strictEqual(exit_code, EXIT_CODES.OK);
+	});
+
+	it('fails differences over either threshold', () => {
+		let pages = [page('/', { added: 2, removed: 2 }), page('/about/', { added: 1 })];
+		let { exit_code, failures } = checkThresholds(pages, {
+			max_changed_pages: 1,
+			max_changed_lines: 3,
+		});
+		assert.strictEqual(exit_code, EXIT_CODES.DIFFERENCES_FOUND);
+		assert.deepStrictEqual(failures, [
+			'2 page(s) have differences, the maximum is 1',
+			'/ has 4 changed lines, the maximum is 3',
+		]);
+	});
+
+	it('fails missing and failed pages before looking at differences', () => {
+		let pages = [
+			page('/', { added: 10 }),
+			page('/gone/', { state: PAGE_STATES.MISSING_IN_PRODUCTION }),
+			page('/flaky/', { state: PAGE_STATES.FETCH_FAILED }),
+		];
+		let { exit_code, failures } = checkThresholds(pages, { max_changed_pages: 0 });
+		assert.strictEqual(exit_code, EXIT_CODES.PAGES_MISSING);
+		assert.deepStrictEqual(failures, [
+			'1 page(s) missing in production',
+			'1 page(s) failed to fetch',
+		]);
+	});
+
+	it("doesn't share an exit code with oclif's own errors", () => {
+		for (let code of [EXIT_CODES.DIFFERENCES_FOUND, EXIT_CODES.PAGES_MISSING]) {
+			assert.ok(![1, 2].includes(code), `${code} is used by oclif`);
+		}
+	});
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const {
+	SIDES,
+	globToRegExp,
+	ruleAppliesToUrl,
+	ruleAppliesToSide,
+	ruleApplies,
+	getScopeSelector,
+} = require('../src/lib/clean-rule-filters');
+
+describe('globToRegExp', () => {
+	it('matches "*" within a path segment, and "**" across them', () => {
+		assert.ok(globToRegExp('/blog/*').test('/blog/post'));
+		assert.ok(!globToRegExp('/blog/*').test('/blog/2020/post'));
+		assert.ok(globToRegExp('/blog/**').test('/blog/2020/post'));
+	});
+
+	it('matches "?" as a single character, and everything else literally', () => {
+		assert.ok(globToRegExp('/page-?.html').test('/page-2.html'));
+		assert.ok(!globToRegExp('/page-?.html').test('/page-2xhtml'));
+		assert.ok(globToRegExp('/a+(b)').test('/A+(B)'));
+	});
+});
+
+describe('ruleAppliesToUrl', () => {
+	const url = 'https://example.com/blog/post/?page=2';
+
+	it('applies rules without a URL filter everywhere', () => {
+		assert.ok(ruleAppliesToUrl({ selector: 'main' }, url));
+		assert.ok(ruleAppliesToUrl({ selector: 'main' }));
+	});
+
+	it('matches a glob against the path and query', () => {
+		assert.ok(ruleAppliesToUrl({ url: '/blog/**' }, url));
+		assert.ok(!ruleAppliesToUrl({ url: '/about/**' }, url));
+	});
+
+	it('matches a glob that starts with a protocol against the full URL', () => {
+		assert.ok(ruleAppliesToUrl({ url: 'https://example.com/blog/**' }, url));
+		assert.ok(!ruleAppliesToUrl({ url: 'https://other.example.com/**' }, url));
+	});
+
+	it('matches a regular expression, with its flags', () => {
+		assert.ok(ruleAppliesToUrl({ urlRegex: 'page=\\d+$' }, url));
+		assert.ok(!ruleAppliesToUrl({ urlRegex: '^/BLOG/' }, url));
+		assert.ok(ruleAppliesToUrl({ urlRegex: '^/BLOG/', urlRegexFlags: 'i' }, url));
+	});
+
+	it('requires both the glob and the regular expression to match', () => {
+		assert.ok(!ruleAppliesToUrl({ url: '/blog/**', urlRegex: 'page=1$' }, url));
+	});
+
+	it("doesn't apply URL filtered rules without a URL", () => {
+		assert.ok(!ruleAppliesToUrl({ url: '/**' }));
+	});
+});
+
+describe('ruleAppliesToSide', () => {
+	it('applies rules without a side, or for both sides, to either side', () => {
+		for (let side of [SIDES.LOCAL, SIDES.REMOTE, undefined]) {
+			assert.ok(ruleAppliesToSide({}, side));
+			assert.ok(ruleAppliesToSide({ side: SIDES.BOTH }, side));
+		}
+	});
+
+	it('only applies side-only rules to that side', () => {
+		assert.ok(ruleAppliesToSide({ side: SIDES.REMOTE }, SIDES.REMOTE));
+		assert.ok(!ruleAppliesToSide({ side: SIDES.REMOTE }, SIDES.LOCAL));
+		assert.ok(!ruleAppliesToSide({ side: SIDES.REMOTE }));
+	});
+});
+
+describe('ruleApplies', () => {
+	it('requires both the side and the URL to match', () => {
+		let rule = { side: SIDES.LOCAL, url: '/blog/**' };
+		assert.ok(ruleApplies(rule, 'https://example.com/blog/', SIDES.LOCAL));
+		assert.ok(!ruleApplies(rule, 'https://example.com/blog/', SIDES.REMOTE));
+		assert.ok(!ruleApplies(rule, 'https://example.com/', SIDES.LOCAL));
+	});
+});
+
+describe('getScopeSelector', () => {
+	const url = 'https://example.com/blog/post/';
+
+	it('uses a String for both sides', () => {
+		assert.strictEqual(getScopeSelector('main', url, SIDES.LOCAL), 'main');
+		assert.strictEqual(getScopeSelector('main', url, SIDES.REMOTE), 'main');
+	});
+
+	it("prefers a side's own selector", () => {
+		let scope = { selector: 'main', remote: '.cms-content' };
+		assert.strictEqual(getScopeSelector(scope, url, SIDES.LOCAL), 'main');
+		assert.strictEqual(getScopeSelector(scope, url, SIDES.REMOTE), '.cms-content');
+	});
+
+	it('uses the first entry that applies to the URL', () => {
+		let scope = [
+			{ url: '/about/**', selector: '.about' },
+			{ urlRegex: '^/blog/', local: 'article' },
+			{ selector: 'main' },
+		];
+		assert.strictEqual(getScopeSelector(scope, url, SIDES.LOCAL), 'article');
+
+		// The blog entry has no remote selector, so the next one applies
+		assert.strictEqual(getScopeSelector(scope, url, SIDES.REMOTE), 'main');
+		assert.strictEqual(getScopeSelector(scope, 'https://example.com/', SIDES.LOCAL), 'main');
+	});
+
+	it('returns null without a scope that applies', () => {
+		assert.strictEqual(getScopeSelector(undefined, url, SIDES.LOCAL), null);
+		assert.strictEqual(
+			getScopeSelector({ url: '/about/**', selector: '.about' }, url, SIDES.LOCAL),
+			null
+		);
+	});
+});
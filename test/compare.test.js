@@ -0,0 +1,54 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const nock = require('nock');
+const { compare } = require('../src/compare');
+
+describe('compare', () => {
+	let build_directory;
+
+	before(async () => {
+		nock.disableNetConnect();
+		build_directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ddp-compare-'));
+		await fs.outputFile(
+			path.join(build_directory, 'index.html'),
+			'<a href="/about/">About</a>'
+		);
+	});
+
+	after(async () => {
+		nock.cleanAll();
+		nock.enableNetConnect();
+		await fs.remove(build_directory);
+	});
+
+	it('audits the links a page has, not their normalized URLs', async () => {
+		nock('https://example.com')
+			.get('/')
+			.reply(200, '<a href="https://example.com/about/index.html">About</a>')
+			.head('/about/index.html')
+			.reply(200);
+
+		let result = await compare({
+			domain: 'https://example.com',
+			buildDir: build_directory,
+			normalizeUrls: true,
+			auditLinks: true,
+			retries: 0,
+			quiet: true,
+		});
+
+		assert.deepStrictEqual(result.linkAudit.pages, []);
+		assert.deepStrictEqual(result.linkAudit.summary, {
+			pages: 1,
+			links: 1,
+			broken: 0,
+			redirected: 0,
+		});
+
+		// Our links are still compared after normalizing them
+		assert.strictEqual(result.summary.changedPages, 0);
+		assert.ok(nock.isDone());
+	});
+});
@@ -0,0 +1,124 @@
+const assert = require('assert');
+const {
+	createUnifiedDiff,
+	splitUnifiedDiff,
+	validateLabels,
+} = require('../src/lib/create-unified-diff');
+const { createUnifiedDiffWithGnuDiff, DIFF_EXECUTABLE } = require('../src/lib/gnu-diff');
+const hasBin = require('../src/lib/has-bin');
+
+const lines = (count, prefix = 'line') =>
+	Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}`).join('\n') + '\n';
+
+const FIXTURES = {
+	'a single changed line': [
+		{ path: 'index.html', local: '<p>\nHello\n</p>\n', remote: '<p>\nGoodbye\n</p>\n' },
+	],
+	'identical files': [{ path: 'index.html', local: lines(5), remote: lines(5) }],
+	'whitespace only changes': [
+		{
+			path: 'index.html',
+			local: '<p>\n  Hello  world\n</p>\n',
+			remote: '<p>\nHello world\n</p>\n',
+		},
+	],
+	'a file only on one side': [
+		{ path: 'about/index.html', local: lines(3), remote: null },
+		{ path: 'contact/index.html', local: null, remote: lines(2) },
+	],
+	'a missing newline at the end of a file': [
+		{ path: 'index.html', local: lines(4), remote: lines(4).slice(0, -1) },
+		{ path: 'other.html', local: lines(4).slice(0, -1), remote: lines(5) },
+		{ path: 'last.html', local: lines(4), remote: lines(4).replace('line 4\n', 'line four') },
+	],
+	'changes far enough apart to be separate hunks': [
+		{
+			path: 'index.html',
+			local: lines(30),
+			remote: lines(30).replace('line 2\n', 'line two\n').replace('line 25\n', ''),
+		},
+	],
+	'changes close enough to share a hunk': [
+		{
+			path: 'index.html',
+			local: lines(20),
+			remote: lines(20).replace('line 5\n', 'line five\n').replace('line 10\n', 'line ten\n'),
+		},
+	],
+	'lines added at the start and end': [
+		{ path: 'index.html', local: lines(6), remote: `<!-- new -->\n${lines(6)}<!-- end -->\n` },
+	],
+	'files in nested directories': [
+		{ path: 'z.html', local: 'a\n', remote: 'b\n' },
+		{ path: 'blog/post/index.html', local: 'a\n', remote: 'b\n' },
+		{ path: 'blog/index.html', local: 'a\n', remote: 'b\n' },
+	],
+};
+
+// GNU diff adds each file's modification time to its `---` / `+++` headers
+const stripTimestamps = (diff) => diff.replace(/^((?:---|\+\+\+) \S+)\t.*$/gm, '$1');
+
+describe('createUnifiedDiff', () => {
+	it('returns an empty string when nothing changed', () => {
+		assert.strictEqual(createUnifiedDiff(FIXTURES['identical files']), '');
+	});
+
+	it('ignores whitespace by default', () => {
+		assert.strictEqual(createUnifiedDiff(FIXTURES['whitespace only changes']), '');
+		assert.notStrictEqual(
+			createUnifiedDiff(FIXTURES['whitespace only changes'], { ignore_whitespace: false }),
+			''
+		);
+	});
+
+	it('uses our labels as the directory names', () => {
+		let diff = createUnifiedDiff(FIXTURES['a single changed line'], {
+			labels: { local: 'staging.example.com:8080', remote: 'production' },
+		});
+		assert.ok(
+			diff.startsWith(
+				'diff -Nurw staging.example.com-8080/index.html production/index.html\n'
+			)
+		);
+	});
+
+	it('can be split back into each file', () => {
+		let patches = splitUnifiedDiff(createUnifiedDiff(FIXTURES['files in nested directories']));
+		assert.deepStrictEqual(
+			[...patches.keys()],
+			['blog/index.html', 'blog/post/index.html', 'z.html']
+		);
+	});
+
+	describe(`matches \`${DIFF_EXECUTABLE} -Nurw\``, function () {
+		before(function () {
+			if (!hasBin(DIFF_EXECUTABLE)) {
+				this.skip();
+			}
+		});
+
+		for (let [name, files] of Object.entries(FIXTURES)) {
+			it(`for ${name}`, async () => {
+				let gnu_diff = await createUnifiedDiffWithGnuDiff(files);
+				assert.strictEqual(createUnifiedDiff(files), stripTimestamps(gnu_diff));
+			});
+		}
+	});
+});
+
+describe('validateLabels', () => {
+	it('accepts two different labels', () => {
+		assert.deepStrictEqual(validateLabels({ local: 'staging', remote: 'production' }), []);
+		assert.deepStrictEqual(validateLabels(), []);
+	});
+
+	it('rejects labels that are the same once used as directory names', () => {
+		assert.strictEqual(validateLabels({ local: 'a b', remote: 'a/b' }).length, 1);
+		assert.strictEqual(validateLabels({ local: 'remote' }).length, 1);
+	});
+
+	it('rejects "." and ".."', () => {
+		assert.strictEqual(validateLabels({ local: '..', remote: 'production' }).length, 1);
+		assert.strictEqual(validateLabels({ local: 'staging', remote: '.' }).length, 1);
+	});
+});
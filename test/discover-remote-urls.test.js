@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { getPathFromUrl, getUrlKey } = require('../src/lib/discover-remote-urls');
+
+describe('getPathFromUrl', () => {
+	it('maps directories to their index.html', () => {
+		assert.strictEqual(getPathFromUrl('https://example.com/'), 'index.html');
+		assert.strictEqual(getPathFromUrl('https://example.com/blog'), 'blog/index.html');
+		assert.strictEqual(getPathFromUrl('https://example.com/blog/'), 'blog/index.html');
+	});
+
+	it('keeps HTML file names', () => {
+		assert.strictEqual(
+			getPathFromUrl('https://example.com/about/team.html'),
+			'about/team.html'
+		);
+		assert.strictEqual(getPathFromUrl('https://example.com/old.htm'), 'old.htm');
+	});
+
+	it('decodes each path segment', () => {
+		assert.strictEqual(getPathFromUrl('https://example.com/caf%C3%A9/'), 'café/index.html');
+		assert.strictEqual(getPathFromUrl('https://example.com/a%20b.html'), 'a b.html');
+	});
+
+	it("doesn't let an encoded slash or dot segment escape the directory", () => {
+		for (let url of [
+			'https://example.com/..%2F..%2F..%2Ftmp%2Fpwn.html',
+			'https://example.com/%2E%2E/%2E%2E/tmp/pwn.html',
+			'https://example.com/a/..%5C..%5Cpwn.html',
+			'https://example.com/%2e%2e%2f',
+		]) {
+			let file_path = getPathFromUrl(url);
+			assert.ok(!file_path.split(/[/\\]/).includes('..'), `${url} mapped to "${file_path}"`);
+		}
+		assert.strictEqual(
+			getPathFromUrl('https://example.com/..%2F..%2Ftmp%2Fpwn.html'),
+			'..%2F..%2Ftmp%2Fpwn.html'
+		);
+	});
+
+	it('adds the query to the file name, so each query is its own page', () => {
+		assert.strictEqual(
+			getPathFromUrl('https://example.com/search/?q=shoes'),
+			'search/index~q=shoes.html'
+		);
+		assert.strictEqual(
+			getPathFromUrl('https://example.com/page.html?a=1&b=2'),
+			'page~a=1&b=2.html'
+		);
+		assert.strictEqual(
+			getPathFromUrl('https://example.com/?next=/a/b'),
+			'index~next=%2Fa%2Fb.html'
+		);
+		assert.notStrictEqual(
+			getPathFromUrl('https://example.com/list?page=1'),
+			getPathFromUrl('https://example.com/list?page=2')
+		);
+	});
+});
+
+describe('getUrlKey', () => {
+	it('treats a directory and its index.html as the same page', () => {
+		let key = getUrlKey('https://example.com/about/');
+		assert.strictEqual(getUrlKey('https://example.com/about'), key);
+		assert.strictEqual(getUrlKey('https://example.com/about/index.html'), key);
+		assert.strictEqual(getUrlKey('https://example.com/about/#team'), key);
+		assert.notStrictEqual(getUrlKey('https://example.com/about/?a=1'), key);
+	});
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+const extractVisibleText = require('../src/lib/extract-visible-text');
+
+const extract = (html, options) => extractVisibleText(new JSDOM(html).window.document, options);
+
+describe('extractVisibleText', () => {
+	it('puts each block-level element on its own line', () => {
+		assert.deepStrictEqual(
+			extract('<h1>Title</h1><p>One <b>bold</b> word</p><ul><li>A</li><li>B</li></ul>'),
+			['Title', 'One bold word', 'A', 'B']
+		);
+	});
+
+	it('collapses whitespace and drops empty lines', () => {
+		assert.deepStrictEqual(extract('<p>\n\t  Lots   of\n\n space  </p><div>   </div><p></p>'), [
+			'Lots of space',
+		]);
+	});
+
+	it('starts a new line at each line break', () => {
+		assert.deepStrictEqual(extract('<p>123 Main St<br>Springfield</p>'), [
+			'123 Main St',
+			'Springfield',
+		]);
+	});
+
+	it('skips elements that are never visible', () => {
+		assert.deepStrictEqual(
+			extract(
+				'<head><title>Title</title></head><body><script>var a = 1;</script><style>p {}</style><noscript>Enable JS</noscript><template><p>Later</p></template><p>Text</p></body>'
+			),
+			['Text']
+		);
+	});
+
+	it('skips hidden elements', () => {
+		assert.deepStrictEqual(
+			extract(
+				'<p hidden>A</p><p style="display: none">B</p><p style="visibility: hidden">C</p><p>D <span style="display:none">E</span></p>'
+			),
+			['D']
+		);
+	});
+
+	it('only includes alt and title attributes when asked to', () => {
+		let html = '<p><img alt="Our logo"> <a title="Home">Welcome</a></p>';
+		assert.deepStrictEqual(extract(html), ['Welcome']);
+		assert.deepStrictEqual(extract(html, { include_alt_text: true }), [
+			'[alt: Our logo] [title: Home] Welcome',
+		]);
+	});
+});
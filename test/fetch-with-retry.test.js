@@ -0,0 +1,93 @@
+const assert = require('assert');
+const { Response } = require('node-fetch');
+const { fetchWithRetry, parseRetryAfter } = require('../src/lib/fetch-with-retry');
+
+/**
+ * A fake `fetch` that resolves each of our responses in turn, recording how often it was called.
+ */
+const createFakeFetch = (responses) => {
+	let fakeFetch = async () => responses[Math.min(fakeFetch.calls++, responses.length - 1)]();
+	fakeFetch.calls = 0;
+	return fakeFetch;
+};
+
+const respond = (status, headers = {}) => () => new Response('', { status, headers });
+
+describe('parseRetryAfter', () => {
+	it('parses a number of seconds', () => {
+		assert.strictEqual(parseRetryAfter('120'), 120000);
+	});
+
+	it('parses an HTTP date', () => {
+		let delay = parseRetryAfter(new Date(Date.now() + 10000).toUTCString());
+		assert.ok(delay > 8000 && delay <= 10000, `${delay} is about 10 seconds`);
+	});
+
+	it('ignores a missing or invalid header', () => {
+		assert.strictEqual(parseRetryAfter(null), null);
+		assert.strictEqual(parseRetryAfter('soon'), null);
+	});
+});
+
+describe('fetchWithRetry', () => {
+	it('retries server errors, then resolves the response', async () => {
+		let fetch = createFakeFetch([respond(503), respond(200)]);
+		let response = await fetchWithRetry('https://example.com/', { fetch, backoff: 1 });
+		assert.strictEqual(response.status, 200);
+		assert.strictEqual(fetch.calls, 2);
+	});
+
+	it('resolves the last bad response when it runs out of retries', async () => {
+		let fetch = createFakeFetch([respond(500)]);
+		let response = await fetchWithRetry('https://example.com/', {
+			fetch,
+			retries: 2,
+			backoff: 1,
+		});
+		assert.strictEqual(response.status, 500);
+		assert.strictEqual(fetch.calls, 3);
+	});
+
+	it('waits for a short "Retry-After"', async () => {
+		let fetch = createFakeFetch([respond(429, { 'Retry-After': '0' }), respond(200)]);
+		let delays = [];
+		let response = await fetchWithRetry('https://example.com/', {
+			fetch,
+			onRetry: ({ delay }) => delays.push(delay),
+		});
+		assert.strictEqual(response.status, 200);
+		assert.deepStrictEqual(delays, [0]);
+	});
+
+	it('does not wait for a "Retry-After" longer than the maximum', async () => {
+		let fetch = createFakeFetch([respond(429, { 'Retry-After': '86400' }), respond(200)]);
+		let response = await fetchWithRetry('https://example.com/', { fetch });
+		assert.strictEqual(response.status, 429);
+		assert.strictEqual(fetch.calls, 1);
+	});
+
+	it('requests each redirect hop with its own options', async () => {
+		let requests = [];
+		let fetch = async (url, options) => {
+			requests.push({ url, headers: options.headers });
+			return url === 'https://example.com/old/'
+				? new Response('', { status: 301, headers: { Location: 'https://other.com/new/' } })
+				: new Response('new', { status: 200 });
+		};
+		let response = await fetchWithRetry('https://example.com/old/', {
+			fetch,
+			fetch_options: (url) => ({
+				headers: url.startsWith('https://example.com/') ? { 'X-Api-Key': 'secret' } : {},
+			}),
+		});
+
+		assert.strictEqual(response.status, 200);
+		assert.strictEqual(response.redirected, true);
+		assert.strictEqual(response.url, 'https://other.com/new/');
+		assert.strictEqual(await response.text(), 'new');
+		assert.deepStrictEqual(requests, [
+			{ url: 'https://example.com/old/', headers: { 'X-Api-Key': 'secret' } },
+			{ url: 'https://other.com/new/', headers: {} },
+		]);
+	});
+});
@@ -0,0 +1,153 @@
+const assert = require('assert');
+const { JSDOM } = require('jsdom');
+const { ruleAppliesToUrl } = require('../src/lib/clean-rule-filters');
+const createIgnoreRulesSection = require('../src/lib/html-report-ignore-rules');
+
+/**
+ * Renders the panel alongside a diff2html-like table of changed lines, and runs its script.
+ */
+const createReport = ({ clean_config, page_statuses, lines }) => {
+	let { markup } = createIgnoreRulesSection({ clean_config, page_statuses });
+	let rows = lines
+		.map(
+			([type, line]) =>
+				`<tr><td class="d2h-code-linenumber"></td><td class="d2h-${type}"><div class="d2h-code-line-ctn"></div></td></tr>`
+		)
+		.join('');
+	let { window } = new JSDOM(
+		`<title>Report</title>
+		<div id="diff">
+			<div class="d2h-file-wrapper">
+				<span class="d2h-file-name">${page_statuses[0].path}</span>
+				<table><tbody>${rows}</tbody></table>
+			</div>
+		</div>
+		${markup}`,
+		{ url: 'http://localhost/', runScripts: 'dangerously' }
+	);
+
+	// Set as text, the same as diff2html escapes each line
+	window.document.querySelectorAll('.d2h-code-line-ctn').forEach((cell, index) => {
+		cell.textContent = lines[index][1];
+	});
+
+	return window;
+};
+
+const click = (window, element) =>
+	element.dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+
+const getProposals = (window) =>
+	[...window.document.querySelectorAll('.ignore-rules__proposals li')].map((item) => ({
+		label: item.querySelector('span')
+			? item.querySelector('span').textContent
+			: item.textContent,
+		add: item.querySelector('button'),
+	}));
+
+const getRules = (window) =>
+	JSON.parse(window.sessionStorage.getItem('ddp-ignore-rules:Report') || '[]');
+
+describe('createIgnoreRulesSection', () => {
+	const page_statuses = [{ path: 'index.html', url: 'https://example.com/?a=1&b=*' }];
+
+	it('proposes rules for an element line', () => {
+		let window = createReport({
+			page_statuses,
+			lines: [['del', '<div id="promo" data-x="1">']],
+		});
+		click(window, window.document.querySelector('td.d2h-del'));
+		assert.deepStrictEqual(
+			getProposals(window).map(({ label }) => label),
+			[
+				'Remove div#promo',
+				'Unwrap div#promo, keeping its contents',
+				'Empty div#promo',
+				'Remove the "id" attribute from div#promo',
+				'Empty the "id" attribute on div#promo',
+				'Remove the "id" attribute everywhere',
+				'Remove the "data-x" attribute from div#promo',
+				'Empty the "data-x" attribute on div#promo',
+				'Remove the "data-x" attribute everywhere',
+			]
+		);
+	});
+
+	it('proposes rules for a text line, based on its parent element', () => {
+		let window = createReport({
+			page_statuses,
+			lines: [
+				['cntx', '<p class="updated note">'],
+				['ins', 'Updated 12 May 2020'],
+			],
+		});
+		click(window, window.document.querySelector('td.d2h-ins'));
+		assert.deepStrictEqual(
+			getProposals(window).map(({ label }) => label),
+			[
+				'Empty p.updated.note containing "Updated 12 May 2020"',
+				'Empty p.updated.note matching Updated \\d+ May \\d+',
+				'Remove p.updated.note containing "Updated 12 May 2020"',
+			]
+		);
+	});
+
+	it('proposes rules for the first line a hunk header can build one from', () => {
+		let window = createReport({
+			page_statuses,
+			lines: [
+				['info', '@@ -1,2 +1,2 @@'],
+				['del', '</div>'],
+				['del', '<span class="ad">'],
+			],
+		});
+		click(window, window.document.querySelector('td.d2h-info'));
+		assert.strictEqual(getProposals(window)[0].label, 'Remove span.ad');
+		assert.ok(
+			window.document.querySelectorAll('tr')[2].classList.contains('ignore-rules__selected')
+		);
+	});
+
+	it('adds each rule once, for the selected side', () => {
+		let window = createReport({ page_statuses, lines: [['del', '<div class="ad">']] });
+		click(window, window.document.querySelector('td.d2h-del'));
+		window.document.querySelector('.ignore-rules__side').value = 'remote';
+		let [remove] = getProposals(window);
+		click(window, remove.add);
+		click(window, remove.add);
+
+		assert.deepStrictEqual(getRules(window), [
+			{ key: 'elements', rule: { selector: 'div.ad', remove: true, side: 'remote' } },
+		]);
+		assert.strictEqual(window.document.querySelector('.ignore-rules__count').textContent, '1');
+	});
+
+	it("doesn't propose rules for lines outside of a page", () => {
+		let window = createReport({
+			page_statuses: [{ path: 'about/index.html', url: 'https://example.com/about/' }],
+			lines: [['del', '<div class="ad">']],
+		});
+		window.document.querySelector('.d2h-file-name').textContent = 'css/main.css';
+		click(window, window.document.querySelector('td.d2h-del'));
+		assert.deepStrictEqual(
+			getProposals(window).map(({ label }) => label),
+			['Rules can only be proposed for pages.']
+		);
+	});
+
+	it('limits a rule to exactly the selected page', () => {
+		let window = createReport({
+			page_statuses,
+			lines: [['del', '<div class="ad">']],
+		});
+		click(window, window.document.querySelector('td.d2h-del'));
+		window.document.querySelector('.ignore-rules__page-only').checked = true;
+		click(window, getProposals(window)[0].add);
+
+		let [{ rule }] = getRules(window);
+		assert.strictEqual(rule.url, undefined);
+		assert.ok(ruleAppliesToUrl(rule, 'https://example.com/?a=1&b=*'));
+		assert.ok(!ruleAppliesToUrl(rule, 'https://example.com/?a=1&b=2'));
+		assert.ok(!ruleAppliesToUrl(rule, 'https://example.com/other/?a=1&b=*'));
+	});
+});
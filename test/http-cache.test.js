@@ -0,0 +1,56 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Response } = require('node-fetch');
+const { createCachedFetch } = require('../src/lib/http-cache');
+
+describe('createCachedFetch', () => {
+	let directory;
+	let requests;
+	let cachedFetch;
+
+	beforeEach(async () => {
+		directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ddp-http-cache-'));
+		requests = [];
+		cachedFetch = createCachedFetch({
+			directory,
+			max_age: 60,
+			fetch: async (url, options) => {
+				requests.push(options.headers.get('Authorization'));
+				return new Response(`<p>${requests.length}</p>`, {
+					url,
+					status: 200,
+					headers: { 'Set-Cookie': 'session=abc123', 'Content-Type': 'text/html' },
+				});
+			},
+		});
+	});
+
+	afterEach(() => fs.remove(directory));
+
+	it('uses a cached response for the same request', async () => {
+		let options = { headers: { Authorization: 'Basic a' } };
+		await cachedFetch('https://example.com/', options);
+		let response = await cachedFetch('https://example.com/', options);
+		assert.strictEqual(await response.text(), '<p>1</p>');
+		assert.deepStrictEqual(cachedFetch.stats, { hits: 1, revalidated: 0, misses: 1 });
+	});
+
+	it('keeps responses to different credentials apart', async () => {
+		await cachedFetch('https://example.com/', { headers: { Authorization: 'Basic a' } });
+		let response = await cachedFetch('https://example.com/', {
+			headers: { Authorization: 'Basic b' },
+		});
+		assert.strictEqual(await response.text(), '<p>2</p>');
+		assert.deepStrictEqual(requests, ['Basic a', 'Basic b']);
+	});
+
+	it('never writes credentials to disk', async () => {
+		await cachedFetch('https://example.com/', { headers: { Authorization: 'Basic secret' } });
+		let [file_name] = await fs.readdir(directory);
+		let contents = await fs.readFile(path.join(directory, file_name), 'utf8');
+		assert.ok(!/set-cookie|abc123|Basic secret/i.test(contents), contents);
+		assert.ok(/content-type/i.test(contents));
+	});
+});
@@ -0,0 +1,45 @@
+const assert = require('assert');
+const { normalizeStyle, normalizeClassName } = require('../src/lib/normalize-class-and-style');
+
+describe('normalizeStyle', () => {
+	it('sorts and formats declarations', () => {
+		assert.strictEqual(normalizeStyle('margin:0;COLOR : red;'), 'color: red; margin: 0');
+		assert.strictEqual(normalizeStyle('  font:  12px   serif '), 'font: 12px serif');
+	});
+
+	it("doesn't split on semicolons within quotes or parentheses", () => {
+		assert.strictEqual(
+			normalizeStyle('background: url("data:image/png;base64,AA==");content:";"'),
+			'background: url("data:image/png;base64,AA=="); content: ";"'
+		);
+	});
+
+	it('keeps only the declaration that wins', () => {
+		assert.strictEqual(normalizeStyle('color: red; color: blue'), 'color: blue');
+		assert.strictEqual(
+			normalizeStyle('color: red ! important; color: blue'),
+			'color: red !important'
+		);
+	});
+
+	it('keeps the case of custom properties', () => {
+		assert.strictEqual(
+			normalizeStyle('--Brand: red; --brand: blue'),
+			'--Brand: red; --brand: blue'
+		);
+	});
+
+	it('drops empty and invalid declarations', () => {
+		assert.strictEqual(normalizeStyle('color:; nonsense; ;'), '');
+	});
+});
+
+describe('normalizeClassName', () => {
+	it('sorts and dedupes class names', () => {
+		assert.strictEqual(normalizeClassName('  b a\tc a '), 'a b c');
+	});
+
+	it('drops class names matching the ignore patterns', () => {
+		assert.strictEqual(normalizeClassName('b a cq-editable', [/^cq-.*$/]), 'a b');
+	});
+});
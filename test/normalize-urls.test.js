@@ -0,0 +1,68 @@
+const assert = require('assert');
+const { parseSrcset, normalizeUrl } = require('../src/lib/normalize-urls');
+
+describe('parseSrcset', () => {
+	it('splits candidates into their URL and descriptor', () => {
+		assert.deepStrictEqual(parseSrcset(' a.jpg 1x,  b.jpg 2x '), [
+			{ url: 'a.jpg', descriptor: '1x' },
+			{ url: 'b.jpg', descriptor: '2x' },
+		]);
+	});
+
+	it('keeps commas within URLs', () => {
+		assert.deepStrictEqual(parseSrcset('/img/w_100,h_50.jpg 100w, /img/w_200,h_100.jpg 200w'), [
+			{ url: '/img/w_100,h_50.jpg', descriptor: '100w' },
+			{ url: '/img/w_200,h_100.jpg', descriptor: '200w' },
+		]);
+	});
+
+	it('allows candidates without a descriptor', () => {
+		assert.deepStrictEqual(parseSrcset('a.jpg, b.jpg 2x'), [
+			{ url: 'a.jpg', descriptor: '' },
+			{ url: 'b.jpg', descriptor: '2x' },
+		]);
+	});
+});
+
+describe('normalizeUrl', () => {
+	const options = {
+		base_url: 'https://example.com/blog/',
+		origins: new Set(['https://example.com']),
+	};
+
+	it('makes URLs on our origins root relative', () => {
+		assert.strictEqual(normalizeUrl('https://example.com/about/', options), '/about');
+		assert.strictEqual(normalizeUrl('post/index.html', options), '/blog/post');
+		assert.strictEqual(normalizeUrl('/', options), '/');
+	});
+
+	it('leaves other origins absolute', () => {
+		assert.strictEqual(
+			normalizeUrl('https://cdn.example.net/app.js', options),
+			'https://cdn.example.net/app.js'
+		);
+	});
+
+	it('sorts query params and drops stripped ones', () => {
+		assert.strictEqual(
+			normalizeUrl(
+				'/search/?q=x&utm_source=mail&a=1',
+				Object.assign({ strip_params: [/^utm_/] }, options)
+			),
+			'/search?a=1&q=x'
+		);
+	});
+
+	it('only lowercases the path when ignoring case', () => {
+		assert.strictEqual(normalizeUrl('/About/?Q=X', options), '/About?Q=X');
+		assert.strictEqual(
+			normalizeUrl('/About/?Q=X', Object.assign({ ignore_case: true }, options)),
+			'/about?Q=X'
+		);
+	});
+
+	it('leaves fragments and other protocols as they are', () => {
+		assert.strictEqual(normalizeUrl('#top', options), '#top');
+		assert.strictEqual(normalizeUrl('mailto:hi@example.com', options), 'mailto:hi@example.com');
+	});
+});
@@ -0,0 +1,250 @@
+const assert = require('assert');
+const {
+	prepareHtmlForUsefulComparisons,
+} = require('../src/lib/prepare-html-for-useful-comparisons');
+
+/**
+ * Prepares the HTML, and returns only what ends up within its `<body>`.
+ */
+const prepareBody = (html, clean_config, options) => {
+	let prepared = prepareHtmlForUsefulComparisons(
+		html,
+		Object.assign({ clean_config, quiet: true }, options)
+	);
+	return prepared.slice(prepared.indexOf('<body>') + 6, prepared.indexOf('</body>')).trim();
+};
+
+describe('prepareHtmlForUsefulComparisons', () => {
+	describe('scope', () => {
+		const html =
+			'<body class="page"><header>Nav</header><div id="content"><p>A</p></div><main class="cms"><p>B</p></main></body>';
+
+		it('only keeps the contents of the scoped elements', () => {
+			assert.strictEqual(
+				prepareBody(html, { scope: '#content, .cms' }),
+				'<p>A</p>\n<p>B</p>'
+			);
+		});
+
+		it('uses the selector for each side', () => {
+			let clean_config = { scope: { local: '#content', remote: '.cms' } };
+			assert.strictEqual(prepareBody(html, clean_config, { side: 'local' }), '<p>A</p>');
+			assert.strictEqual(prepareBody(html, clean_config, { side: 'remote' }), '<p>B</p>');
+		});
+
+		it("doesn't repeat scoped elements nested within another", () => {
+			assert.strictEqual(
+				prepareBody('<div class="a"><p>A</p><div class="a"><p>B</p></div></div>', {
+					scope: '.a',
+				}),
+				'<p>A</p>\n<div class="a">\n<p>B</p>\n</div>'
+			);
+		});
+
+		it('leaves a note when the selector matches nothing', () => {
+			assert.strictEqual(
+				prepareBody(
+					html,
+					{ scope: { local: '#content', remote: '#missing' } },
+					{
+						side: 'remote',
+					}
+				),
+				'<!-- No elements matched the scope "#missing" -->'
+			);
+		});
+
+		it('throws for an invalid selector', () => {
+			assert.throws(
+				() => prepareBody(html, { scope: 'div[' }),
+				(error) => /Invalid `scope` selector passed/.test(error)
+			);
+		});
+	});
+
+	describe('side and URL filters', () => {
+		const clean_config = {
+			elements: [{ selector: '.ad', remove: true, side: 'remote' }],
+			attributes: [{ attribute: 'data-id', url: '/blog/**' }],
+		};
+		const html = '<p class="ad">Ad</p><p data-id="1">A</p>';
+
+		it('only applies side-only rules to that side', () => {
+			assert.strictEqual(
+				prepareBody(html, clean_config, { side: 'local' }),
+				'<p class="ad">Ad</p>\n<p data-id="1">A</p>'
+			);
+			assert.strictEqual(
+				prepareBody(html, clean_config, { side: 'remote' }),
+				'<p data-id="1">A</p>'
+			);
+		});
+
+		it('only applies URL-only rules to matching pages', () => {
+			assert.strictEqual(
+				prepareBody(html, clean_config, {
+					side: 'local',
+					url: 'https://example.com/blog/post/',
+				}),
+				'<p class="ad">Ad</p>\n<p>A</p>'
+			);
+		});
+	});
+
+	describe('unwrap rules', () => {
+		const unwrap = { elements: [{ selector: '.wrapper', unwrap: true }] };
+
+		it('keeps the children in place of their wrapper', () => {
+			assert.strictEqual(
+				prepareBody(
+					'<main><div class="wrapper"><p>A</p><p>B</p></div><p>C</p></main>',
+					unwrap
+				),
+				'<main>\n<p>A</p>\n<p>B</p>\n<p>C</p>\n</main>'
+			);
+		});
+
+		it('unwraps nested wrappers', () => {
+			assert.strictEqual(
+				prepareBody(
+					'<div class="wrapper"><div class="wrapper"><p>A</p></div><p>B</p></div>',
+					unwrap
+				),
+				'<p>A</p>\n<p>B</p>'
+			);
+		});
+
+		it('keeps text nodes', () => {
+			assert.strictEqual(
+				prepareBody(
+					'<p>Hello,<span class="wrapper">there<b>friend</b></span>!</p>',
+					unwrap
+				),
+				'<p>Hello,there<b>friend</b>!</p>'
+			);
+		});
+
+		it('removes a wrapper with no children', () => {
+			assert.strictEqual(
+				prepareBody('<p>A</p><div class="wrapper"></div><p>B</p>', unwrap),
+				'<p>A</p>\n<p>B</p>'
+			);
+		});
+
+		it('only unwraps the elements that contain a match', () => {
+			assert.strictEqual(
+				prepareBody(
+					'<div class="wrapper"><p>A</p></div><div class="wrapper"><p>B</p></div>',
+					{
+						elements: [{ selector: '.wrapper', contains: 'B', unwrap: true }],
+					}
+				),
+				'<div class="wrapper">\n<p>A</p>\n</div>\n<p>B</p>'
+			);
+		});
+	});
+
+	describe('replacements', () => {
+		it('replaces every match, using the regular expression flags', () => {
+			assert.strictEqual(
+				prepareBody('<p>Build ABC123 and abc456</p>', {
+					replacements: [{ regex: 'abc\\d+', regexFlags: 'i', replacement: 'BUILD' }],
+				}),
+				'<p>Build BUILD and BUILD</p>'
+			);
+		});
+
+		it('only replaces text when no attributes are set', () => {
+			assert.strictEqual(
+				prepareBody('<p title="v1">v1</p>', {
+					replacements: [{ regex: 'v\\d', replacement: 'v#' }],
+				}),
+				'<p title="v1">v#</p>'
+			);
+		});
+
+		it('only replaces the values of the attributes that are set', () => {
+			assert.strictEqual(
+				prepareBody('<img src="/a.png?v=123" data-v="?v=1"><p>?v=1</p>', {
+					replacements: [{ regex: '\\?v=\\d+', attributes: ['src'] }],
+				}),
+				'<img data-v="?v=1" src="/a.png">\n<p>?v=1</p>'
+			);
+		});
+
+		it('replaces both text and attribute values when asked to', () => {
+			assert.strictEqual(
+				prepareBody('<p title="cdn1.example.com">cdn2.example.com</p>', {
+					replacements: [
+						{
+							regex: 'cdn\\d\\.',
+							replacement: 'cdn.',
+							attributes: ['title'],
+							text: true,
+						},
+					],
+				}),
+				'<p title="cdn.example.com">cdn.example.com</p>'
+			);
+		});
+
+		it('only replaces within the elements matching the selector', () => {
+			assert.strictEqual(
+				prepareBody(
+					'<p class="date">2020</p><p>2020</p><p class="date" data-y="2020"></p>',
+					{
+						replacements: [
+							{ regex: '\\d{4}', replacement: 'YYYY', selector: '.date' },
+							{
+								regex: '\\d{4}',
+								replacement: 'YYYY',
+								selector: 'p',
+								attributes: ['data-y'],
+							},
+						],
+					}
+				),
+				'<p class="date">YYYY</p>\n<p>2020</p>\n<p class="date" data-y="YYYY"></p>'
+			);
+		});
+
+		it('replaces before classes and attributes are sorted', () => {
+			assert.strictEqual(
+				prepareBody('<p data-b="2" class="z-123 a" data-a="1">A</p>', {
+					replacements: [{ regex: '-\\d+', attributes: ['class'] }],
+				}),
+				'<p class="a z" data-a="1" data-b="2">A</p>'
+			);
+		});
+
+		it('only applies to its side and URL', () => {
+			let clean_config = {
+				replacements: [
+					{ regex: 'A', replacement: 'B', side: 'remote' },
+					{ regex: 'C', replacement: 'D', url: '/blog/**' },
+				],
+			};
+			assert.strictEqual(
+				prepareBody('<p>A C</p>', clean_config, {
+					side: 'local',
+					url: 'https://example.com/blog/post/',
+				}),
+				'<p>A D</p>'
+			);
+			assert.strictEqual(
+				prepareBody('<p>A C</p>', clean_config, {
+					side: 'remote',
+					url: 'https://example.com/about/',
+				}),
+				'<p>B C</p>'
+			);
+		});
+
+		it('throws for an invalid regular expression', () => {
+			assert.throws(
+				() => prepareBody('<p>A</p>', { replacements: [{ regex: '(' }] }),
+				(error) => /Invalid `replacement` passed/.test(error)
+			);
+		});
+	});
+});
@@ -0,0 +1,77 @@
+const assert = require('assert');
+const path = require('path');
+const { flags } = require('@oclif/command');
+const { applyProjectConfig } = require('../src/lib/project-config');
+
+const flag_definitions = {
+	'format': flags.string({ options: ['html', 'json', 'diff'] }),
+	'concurrency': flags.integer({ default: 8 }),
+	'cache': flags.boolean({ default: false, allowNo: true }),
+	'header': flags.string({ multiple: true }),
+	'clean-config': flags.string({}),
+	'build-dir': flags.string({}),
+};
+
+const apply = (options, { explicit_flag_names = [], parsed_flags = {} } = {}) =>
+	applyProjectConfig({
+		options,
+		filepath: '/project/.ddprc.json',
+		flags: Object.assign({ concurrency: 8, cache: false }, parsed_flags),
+		flag_definitions,
+		explicit_flag_names,
+		env: {},
+	});
+
+describe('applyProjectConfig', () => {
+	it('fills in flags that were not passed', () => {
+		let { flags: merged, unknown_keys } = apply({
+			format: 'json',
+			concurrency: 4,
+			cache: true,
+			buildDir: 'public',
+			headers: { 'X-Api-Key': 'secret' },
+			cleanConfig: { elements: [{ selector: 'script' }] },
+			typo: true,
+		});
+		assert.strictEqual(merged.format, 'json');
+		assert.strictEqual(merged.concurrency, 4);
+		assert.strictEqual(merged.cache, true);
+		assert.strictEqual(merged['build-dir'], path.resolve('/project/public'));
+		assert.deepStrictEqual(merged.header, ['X-Api-Key: secret']);
+		assert.deepStrictEqual(merged['clean-config'], { elements: [{ selector: 'script' }] });
+		assert.deepStrictEqual(unknown_keys, ['typo']);
+	});
+
+	it('parses integers passed as Strings', () => {
+		assert.strictEqual(apply({ concurrency: '12' }).flags.concurrency, 12);
+	});
+
+	it('lets an explicit --no- flag override the config', () => {
+		let { flags: merged } = apply(
+			{ cache: true },
+			{ explicit_flag_names: ['cache'], parsed_flags: { cache: false } }
+		);
+		assert.strictEqual(merged.cache, false);
+	});
+
+	it('rejects values that are not one of the options', () => {
+		assert.throws(() => apply({ format: 'pdf' }), /"format" must be one of: html, json, diff/);
+	});
+
+	it('rejects values that are not integers', () => {
+		assert.throws(
+			() => apply({ concurrency: 'lots' }),
+			/"concurrency" is invalid. Expected an integer but received: lots/
+		);
+		assert.throws(() => apply({ concurrency: 1.5 }), /Expected an integer but received: 1.5/);
+	});
+
+	it('rejects booleans of the wrong type', () => {
+		assert.throws(() => apply({ cache: 'yes' }), /"cache" must be true or false/);
+	});
+
+	it('rejects values of the wrong type', () => {
+		assert.throws(() => apply({ buildDir: ['public'] }), /"buildDir" must be a String/);
+		assert.throws(() => apply({ headers: [1, {}] }), /"headers\[1\]" must be a String/);
+	});
+});
@@ -0,0 +1,53 @@
+const assert = require('assert');
+const { createUnifiedDiff } = require('../src/lib/create-unified-diff');
+const { PAGE_STATES } = require('../src/lib/page-status');
+const { renderReport, renderStatusTables } = require('../src/lib/render-report');
+
+const diff = createUnifiedDiff([
+	{ path: 'index.html', local: '<p>\nHello\n</p>\n', remote: '<p>\nGoodbye\n</p>\n' },
+	{ path: 'about/index.html', local: '<p>\nAbout\n</p>\n', remote: null },
+]);
+
+const result = {
+	domain: 'https://example.com',
+	diff,
+	pageStatuses: [
+		{ url: 'https://example.com/', path: 'index.html', status: 200, state: PAGE_STATES.OK },
+		{
+			url: 'https://example.com/about/',
+			path: 'about/index.html',
+			status: 404,
+			state: PAGE_STATES.MISSING_IN_PRODUCTION,
+		},
+	],
+	linkAudit: null,
+};
+
+describe('renderReport', () => {
+	it('renders only the unified diff for the "diff" format', () => {
+		assert.strictEqual(renderReport(result, { format: 'diff' }), diff);
+	});
+
+	it('includes each page and its status in the "json" format', () => {
+		let report = JSON.parse(renderReport(result, { format: 'json' }));
+		assert.deepStrictEqual(
+			report.pages.map(({ path, state }) => [path, state]),
+			[
+				['index.html', PAGE_STATES.OK],
+				['about/index.html', PAGE_STATES.MISSING_IN_PRODUCTION],
+			]
+		);
+	});
+
+	it('throws for an unknown format', () => {
+		assert.throws(() => renderReport(result, { format: 'pdf' }), /Unknown report format/);
+	});
+});
+
+describe('renderStatusTables', () => {
+	it('lists each page with its status', () => {
+		let tables = renderStatusTables(result);
+		assert.ok(tables.startsWith('Page statuses:\n'));
+		assert.ok(/404\s+Missing in production\s+https:\/\/example\.com\/about\//.test(tables));
+	});
+});
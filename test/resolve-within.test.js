@@ -0,0 +1,22 @@
+const assert = require('assert');
+const path = require('path');
+const resolveWithin = require('../src/lib/resolve-within');
+
+describe('resolveWithin', () => {
+	it('resolves a path within the directory', () => {
+		assert.strictEqual(
+			resolveWithin('snapshots', 'blog/index.html'),
+			path.resolve('snapshots/blog/index.html')
+		);
+		assert.strictEqual(
+			resolveWithin('snapshots', '..index.html'),
+			path.resolve('snapshots/..index.html')
+		);
+	});
+
+	it('throws for a path outside of the directory', () => {
+		for (let relative_path of ['../index.html', 'a/../../index.html', '/etc/passwd', '.', '']) {
+			assert.throws(() => resolveWithin('snapshots', relative_path), /is outside of/);
+		}
+	});
+});
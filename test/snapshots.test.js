@@ -0,0 +1,137 @@
+const assert = require('assert');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PAGE_STATES } = require('../src/lib/page-status');
+const {
+	createSnapshotId,
+	listSnapshots,
+	resolveSnapshot,
+	writeSnapshot,
+	readSnapshot,
+} = require('../src/lib/snapshots');
+
+describe('snapshots', () => {
+	let snapshot_directory;
+
+	beforeEach(async () => {
+		snapshot_directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ddp-snapshots-'));
+	});
+
+	afterEach(() => fs.remove(snapshot_directory));
+
+	const write = (id, options = {}) =>
+		writeSnapshot(
+			path.join(snapshot_directory, id),
+			Object.assign(
+				{
+					domain: 'https://example.com',
+					pages: [
+						{
+							url: 'https://example.com/',
+							path: 'index.html',
+							status: 200,
+							state: PAGE_STATES.OK,
+							html: '<p>Home</p>\n',
+						},
+						{
+							url: 'https://example.com/about/',
+							path: 'about/index.html',
+							status: 404,
+							state: PAGE_STATES.MISSING_IN_PRODUCTION,
+							html: null,
+						},
+					],
+				},
+				options
+			)
+		);
+
+	it('reads back what was written', async () => {
+		let date = new Date('2020-10-18T09:30:00.000Z');
+		await write(createSnapshotId(date), {
+			clean_config: { elements: [{ selector: 'head' }] },
+			text_only: true,
+			date,
+		});
+
+		let snapshot = await readSnapshot(
+			path.join(snapshot_directory, '2020-10-18T09-30-00-000Z')
+		);
+		assert.strictEqual(snapshot.domain, 'https://example.com');
+		assert.strictEqual(snapshot.createdAt, '2020-10-18T09:30:00.000Z');
+		assert.deepStrictEqual(snapshot.cleanConfig, { elements: [{ selector: 'head' }] });
+		assert.strictEqual(snapshot.normalizeUrls, null);
+		assert.strictEqual(snapshot.textOnly, true);
+		assert.deepStrictEqual(
+			snapshot.pages.map(({ path: page_path, status, state, saved, html }) => ({
+				path: page_path,
+				status,
+				state,
+				saved,
+				html,
+			})),
+			[
+				{
+					path: 'index.html',
+					status: 200,
+					state: PAGE_STATES.OK,
+					saved: true,
+					html: '<p>Home</p>\n',
+				},
+				{
+					path: 'about/index.html',
+					status: 404,
+					state: PAGE_STATES.MISSING_IN_PRODUCTION,
+					saved: false,
+					html: null,
+				},
+			]
+		);
+	});
+
+	it("doesn't overwrite an existing snapshot", async () => {
+		await write('a');
+		await assert.rejects(write('a'), /A snapshot already exists/);
+	});
+
+	it('resolves "latest" to the newest snapshot', async () => {
+		await write(createSnapshotId(new Date('2020-10-18T09:30:00.000Z')));
+		await write(createSnapshotId(new Date('2020-10-19T08:00:00.000Z')));
+		await write(createSnapshotId(new Date('2020-10-17T23:59:59.000Z')));
+		await fs.ensureDir(path.join(snapshot_directory, 'not-a-snapshot'));
+
+		assert.deepStrictEqual(await listSnapshots(snapshot_directory), [
+			'2020-10-17T23-59-59-000Z',
+			'2020-10-18T09-30-00-000Z',
+			'2020-10-19T08-00-00-000Z',
+		]);
+		assert.strictEqual(
+			await resolveSnapshot('latest', snapshot_directory),
+			path.join(snapshot_directory, '2020-10-19T08-00-00-000Z')
+		);
+	});
+
+	it('resolves an ID or a path to its snapshot', async () => {
+		await write('a');
+		let snapshot_path = path.join(snapshot_directory, 'a');
+		assert.strictEqual(await resolveSnapshot('a', snapshot_directory), snapshot_path);
+		assert.strictEqual(await resolveSnapshot(snapshot_path, os.tmpdir()), snapshot_path);
+	});
+
+	it('suggests the available snapshots for one that does not exist', async () => {
+		await write('a');
+		await assert.rejects(resolveSnapshot('b', snapshot_directory), (error) => {
+			assert.strictEqual(error.message, 'The snapshot "b" does not exist.');
+			assert.deepStrictEqual(error.suggestions, ['Available snapshots: latest, a']);
+			return true;
+		});
+	});
+
+	it('throws for "latest" without any snapshots', async () => {
+		await assert.rejects(
+			resolveSnapshot('latest', snapshot_directory),
+			/There are no snapshots/
+		);
+	});
+});
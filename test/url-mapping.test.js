@@ -0,0 +1,108 @@
+const assert = require('assert');
+const { validateUrlMap, createUrlMapper } = require('../src/lib/url-mapping');
+
+const root_domain = 'https://example.com';
+
+describe('createUrlMapper', () => {
+	it('mirrors the build directory without any rules', () => {
+		let mapUrl = createUrlMapper(root_domain);
+		assert.strictEqual(mapUrl('index.html'), 'https://example.com/');
+		assert.strictEqual(mapUrl('about/index.html'), 'https://example.com/about/');
+		assert.strictEqual(mapUrl('about.html'), 'https://example.com/about.html');
+		assert.strictEqual(mapUrl('blog\\post\\index.html'), 'https://example.com/blog/post/');
+	});
+
+	it('strips extensions, then prefixes, then rewrites, then sets the trailing slash', () => {
+		let mapUrl = createUrlMapper(root_domain, {
+			stripExtension: true,
+			prefix: 'en-us/',
+			rewrites: [{ pattern: '^/en-us/news/', replacement: '/en-us/press/' }],
+			trailingSlash: 'always',
+		});
+		assert.strictEqual(mapUrl('news/launch.html'), 'https://example.com/en-us/press/launch/');
+		assert.strictEqual(mapUrl('index.html'), 'https://example.com/en-us/');
+	});
+
+	it('runs rewrites in order, each on the result of the last', () => {
+		let mapUrl = createUrlMapper(root_domain, {
+			rewrites: [
+				{ pattern: 'A', flags: 'gi', replacement: 'b' },
+				{ pattern: 'b', flags: 'g', replacement: 'c' },
+			],
+		});
+		assert.strictEqual(mapUrl('a/Apple.html'), 'https://example.com/c/cpple.html');
+	});
+
+	it('lets overrides skip every other rule', () => {
+		let mapUrl = createUrlMapper(root_domain, {
+			prefix: '/en-us',
+			stripExtension: true,
+			trailingSlash: 'always',
+			overrides: {
+				'./about.html': 'company/about-us',
+				'careers.html': 'https://jobs.example.com/',
+			},
+		});
+		assert.strictEqual(mapUrl('about.html'), 'https://example.com/company/about-us');
+		assert.strictEqual(mapUrl('careers.html'), 'https://jobs.example.com/');
+		assert.strictEqual(mapUrl('contact.html'), 'https://example.com/en-us/contact/');
+	});
+
+	it('strips the extensions it is given', () => {
+		let mapUrl = createUrlMapper(root_domain, { stripExtension: ['htm', '.php'] });
+		assert.strictEqual(mapUrl('old.HTM'), 'https://example.com/old');
+		assert.strictEqual(mapUrl('form.php'), 'https://example.com/form');
+		assert.strictEqual(mapUrl('page.html'), 'https://example.com/page.html');
+	});
+
+	it('only adds a trailing slash to paths without a file extension', () => {
+		let mapUrl = createUrlMapper(root_domain, { trailingSlash: 'always' });
+		assert.strictEqual(mapUrl('about.html'), 'https://example.com/about.html');
+		assert.strictEqual(mapUrl('about/index.html'), 'https://example.com/about/');
+	});
+
+	it('drops trailing slashes, other than the root', () => {
+		let mapUrl = createUrlMapper(root_domain, { trailingSlash: 'never' });
+		assert.strictEqual(mapUrl('about/index.html'), 'https://example.com/about');
+		assert.strictEqual(mapUrl('index.html'), 'https://example.com/');
+	});
+});
+
+describe('validateUrlMap', () => {
+	it('accepts valid rules', () => {
+		assert.deepStrictEqual(
+			validateUrlMap({
+				prefix: '/en-us',
+				stripExtension: ['htm'],
+				trailingSlash: 'never',
+				rewrites: [{ pattern: '^/old/', replacement: '/new/' }],
+				overrides: { 'about.html': '/about-us' },
+			}),
+			[]
+		);
+	});
+
+	it('lists every invalid rule', () => {
+		assert.deepStrictEqual(
+			validateUrlMap({
+				prefix: 1,
+				stripExtension: {},
+				trailingSlash: 'sometimes',
+				rewrites: [{ pattern: '(' }, { replacement: 'a' }],
+				overrides: [],
+			}),
+			[
+				'"prefix" must be a String.',
+				'"stripExtension" must be a Boolean, a String, or an Array of Strings.',
+				'"trailingSlash" must be one of preserve, always, never.',
+				'"rewrites[0]" is not a valid regular expression: Invalid regular expression: /(/: Unterminated group',
+				'"rewrites[1].pattern" must be a String.',
+				'"overrides" must be a plain object of file paths to URLs.',
+			]
+		);
+	});
+
+	it('rejects anything but a plain object', () => {
+		assert.deepStrictEqual(validateUrlMap([]), ['The URL map must be a plain object.']);
+	});
+});
@@ -0,0 +1,43 @@
+const assert = require('assert');
+const validateCleanConfig = require('../src/lib/validate-clean-config');
+
+describe('validateCleanConfig', () => {
+	it('accepts a valid clean config', () => {
+		assert.deepStrictEqual(
+			validateCleanConfig({
+				elements: [{ selector: 'script' }],
+				ignoreClasses: ['cq-*'],
+				scope: 'main',
+			}),
+			[]
+		);
+	});
+
+	it('rejects anything but a plain object', () => {
+		assert.deepStrictEqual(validateCleanConfig([]), [
+			'The clean config must be a plain object.',
+		]);
+	});
+
+	it('suggests known keys for typos, with their path', () => {
+		assert.deepStrictEqual(validateCleanConfig({ elements: [{ selecter: 'a' }] }), [
+			'"elements[0].selecter" is not a known key. Did you mean "selector"?',
+			'"elements[0].selector" is required.',
+		]);
+	});
+
+	it('rejects invalid selectors and regular expressions', () => {
+		let errors = validateCleanConfig({ elements: [{ selector: 'a[', containsRegex: '(' }] });
+		assert.strictEqual(errors.length, 2);
+		assert.ok(errors[0].startsWith('"elements[0].selector" is not a valid selector:'));
+		assert.ok(
+			errors[1].startsWith('"elements[0].containsRegex" is not a valid regular expression:')
+		);
+	});
+
+	it('only reports a scope of the wrong type once', () => {
+		assert.deepStrictEqual(validateCleanConfig({ scope: 5 }), [
+			'"scope" must be a selector String, a plain object, or an Array of plain objects.',
+		]);
+	});
+});